@@ -0,0 +1,258 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+/*
+ * Compare the entries selected by each remote's queries with the local UFDS,
+ * optionally repairing any differences.
+ */
+
+var path = require('path');
+var fs = require('fs');
+
+var dashdash = require('dashdash');
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+
+var lib = require('./lib/index');
+var Auditor = lib.Auditor;
+var Replicator = lib.Replicator;
+
+
+var LOG = bunyan.createLogger({
+    name: 'ufds-replicator-audit',
+    stream: process.stderr,
+    level: 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+
+var parser = dashdash.createParser({
+    options: [
+        {
+            names: ['file', 'f'],
+            type: 'string',
+            default: path.join(__dirname, 'etc/replicator.json'),
+            help: 'Replicator config file'
+        },
+        {
+            names: ['remote', 'r'],
+            type: 'arrayOfString',
+            help: 'Only audit the remote with this url (repeatable)'
+        },
+        {
+            names: ['ignore', 'i'],
+            type: 'arrayOfString',
+            help: 'Leave this attribute out of comparisons (repeatable)'
+        },
+        {
+            names: ['repair'],
+            type: 'bool',
+            help: 'Apply fixes to the local UFDS'
+        },
+        {
+            names: ['delete-extra'],
+            type: 'bool',
+            help: 'With --repair, also delete local entries missing from the ' +
+                'remote'
+        },
+        {
+            names: ['json', 'j'],
+            type: 'bool',
+            help: 'Print the report as JSON'
+        },
+        {
+            names: ['verbose', 'v'],
+            type: 'bool',
+            help: 'Log progress to stderr'
+        },
+        {
+            names: ['help', 'h'],
+            type: 'bool',
+            help: 'Print this help and exit.'
+        }
+    ]
+});
+
+function usage(code, msg) {
+    console.error((msg ? msg + '\n' : '') +
+        'usage: ' + path.basename(process.argv[1]) +
+        ' [options]\n\n' + parser.help());
+    process.exit(code);
+}
+
+
+function printReport(report) {
+    report.queries.forEach(function (res) {
+        console.log('%s %s: %d missing, %d extra, %d differing',
+            report.url, res.query, res.missing.length, res.extra.length,
+            res.differing.length);
+        res.missing.forEach(function (item) {
+            console.log('  missing: %s', item.dn);
+        });
+        res.extra.forEach(function (item) {
+            console.log('  extra: %s', item.dn);
+        });
+        res.differing.forEach(function (item) {
+            console.log('  differing: %s (%s)', item.dn,
+                Object.keys(item.diff).join(', '));
+        });
+    });
+}
+
+function countIssues(report) {
+    var count = 0;
+    report.queries.forEach(function (res) {
+        count += res.missing.length + res.extra.length +
+            res.differing.length;
+    });
+    return count;
+}
+
+
+function main() {
+    var opts;
+    var config;
+    try {
+        opts = parser.parse(process.argv);
+    } catch (e) {
+        usage(2, e.message);
+    }
+    if (opts.help) {
+        usage(0);
+    }
+    if (opts.delete_extra && !opts.repair) {
+        usage(2, '--delete-extra requires --repair');
+    }
+    if (opts.verbose) {
+        LOG.level('info');
+    }
+
+    try {
+        config = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
+    } catch (e) {
+        LOG.fatal('Unable to parse configuration file: ' + e.message);
+        process.exit(2);
+    }
+
+    var remotes = config.remotes.filter(function (item) {
+        return (!opts.remote || opts.remote.indexOf(item.url) !== -1);
+    });
+    if (remotes.length === 0) {
+        usage(2, 'no matching remotes');
+    }
+
+    // The replicator is never started; it only provides the connections
+    var rep = new Replicator({
+        log: LOG,
+        ldapConfig: config.localUfds
+    });
+    rep.on('error', function (err) {
+        LOG.fatal(err, 'replicator error');
+        process.exit(2);
+    });
+    remotes.forEach(function (item) {
+        rep.addRemote(item);
+    });
+
+    var issues = 0;
+    var kept = 0;
+    var reports = [];
+    vasync.pipeline({
+        funcs: [
+            function waitLocal(_, cb) {
+                if (rep.client.connected) {
+                    cb();
+                } else {
+                    rep.once('connect', cb.bind(null, null));
+                }
+            },
+            function audit(_, cb) {
+                vasync.forEachPipeline({
+                    inputs: rep.remotes,
+                    func: function (url, next) {
+                        auditRemote(rep.getRemote(url), next);
+                    }
+                }, function (err) {
+                    cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (opts.json) {
+            console.log(JSON.stringify(reports, null, 2));
+        }
+        rep.destroy();
+        if (err) {
+            LOG.fatal(err, 'audit failed');
+            process.exit(2);
+        }
+        process.exit(((issues > 0 && !opts.repair) || kept > 0) ? 1 : 0);
+    });
+
+    function auditRemote(remote, cb) {
+        var auditor = new Auditor({
+            log: LOG.child({remoteUFDS: remote.identity.url}),
+            client: rep.client,
+            remote: remote,
+            ignore: opts.ignore
+        });
+        vasync.pipeline({
+            funcs: [
+                function waitRemote(_, next) {
+                    if (remote.connected) {
+                        next();
+                    } else {
+                        remote.once('connect', next.bind(null, null));
+                    }
+                },
+                function audit(state, next) {
+                    auditor.audit(function (err, report) {
+                        if (!err) {
+                            state.report = report;
+                            reports.push(report);
+                            issues += countIssues(report);
+                            if (!opts.json) {
+                                printReport(report);
+                            }
+                        }
+                        next(err);
+                    });
+                },
+                function repair(state, next) {
+                    if (!opts.repair || countIssues(state.report) === 0) {
+                        next();
+                        return;
+                    }
+                    auditor.repair(state.report, {
+                        deleteExtra: !!opts.delete_extra
+                    }, function (err, res) {
+                        if (!err) {
+                            state.report.repaired = res;
+                            kept += res.kept;
+                            if (!opts.json) {
+                                console.log('%s repaired: %d added, ' +
+                                    '%d modified, %d deleted, %d kept',
+                                    remote.identity.url, res.added,
+                                    res.modified, res.deleted, res.kept);
+                            }
+                        }
+                        next(err);
+                    });
+                }
+            ],
+            arg: {}
+        }, function (err) {
+            cb(err);
+        });
+    }
+}
+
+
+main();
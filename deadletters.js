@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+/*
+ * List, inspect, replay or discard the changes a running replicator has
+ * dead-lettered, through its admin server.
+ */
+
+var path = require('path');
+var fs = require('fs');
+var http = require('http');
+
+var dashdash = require('dashdash');
+
+
+var COMMANDS = {
+    list: {method: 'GET', id: false},
+    get: {method: 'GET', id: true},
+    replay: {method: 'POST', id: true, suffix: '/replay'},
+    discard: {method: 'DELETE', id: true}
+};
+
+
+var parser = dashdash.createParser({
+    options: [
+        {
+            names: ['file', 'f'],
+            type: 'string',
+            default: path.join(__dirname, 'etc/replicator.json'),
+            help: 'Replicator config file, for the admin server address'
+        },
+        {
+            names: ['host', 'H'],
+            type: 'string',
+            help: 'Admin server host (overrides the config file)'
+        },
+        {
+            names: ['port', 'p'],
+            type: 'positiveInteger',
+            help: 'Admin server port (overrides the config file)'
+        },
+        {
+            names: ['token', 't'],
+            type: 'string',
+            help: 'Admin server token (overrides the config file)'
+        },
+        {
+            names: ['json', 'j'],
+            type: 'bool',
+            help: 'Print raw JSON responses'
+        },
+        {
+            names: ['help', 'h'],
+            type: 'bool',
+            help: 'Print this help and exit.'
+        }
+    ]
+});
+
+function usage(code, msg) {
+    console.error((msg ? msg + '\n' : '') +
+        'usage: ' + path.basename(process.argv[1]) +
+        ' [options] list|get ID|replay ID|discard ID\n\n' + parser.help());
+    process.exit(code);
+}
+
+
+function printRecord(record) {
+    console.log('%d\t%s\t%s #%d\t%s %s\t%s', record.id, record.time,
+        record.remote, record.changenumber, record.changetype,
+        record.targetdn, record.error.message);
+}
+
+function request(opts, cb) {
+    var req = http.request(opts, function (res) {
+        var body = '';
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            body += chunk;
+        });
+        res.on('end', function () {
+            var parsed;
+            try {
+                parsed = JSON.parse(body);
+            } catch (e) {
+                cb(e);
+                return;
+            }
+            if (res.statusCode !== 200) {
+                cb(new Error(parsed.message));
+                return;
+            }
+            cb(null, parsed);
+        });
+    });
+    req.on('error', cb);
+    req.end();
+}
+
+
+function main() {
+    var opts;
+    try {
+        opts = parser.parse(process.argv);
+    } catch (e) {
+        usage(2, e.message);
+    }
+    if (opts.help) {
+        usage(0);
+    }
+
+    var cmd = COMMANDS[opts._args[0]];
+    var id = opts._args[1];
+    if (!cmd || (cmd.id && !/^\d+$/.test(id || ''))) {
+        usage(2);
+    }
+
+    var admin = {};
+    if (!opts.port || (!opts.token && fs.existsSync(opts.file))) {
+        try {
+            var config = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
+            admin = config.adminServer || {};
+        } catch (e) {
+            console.error('Unable to parse configuration file: ' + e.message);
+            process.exit(2);
+        }
+    }
+
+    var reqOpts = {
+        host: opts.host || admin.host || '127.0.0.1',
+        port: opts.port || admin.port,
+        method: cmd.method,
+        path: '/deadletters' + (cmd.id ? '/' + id : '') + (cmd.suffix || ''),
+        headers: {}
+    };
+    if (opts.token || admin.token) {
+        reqOpts.headers.authorization = 'Bearer ' + (opts.token || admin.token);
+    }
+    if (!reqOpts.port) {
+        usage(2, 'no admin server port configured');
+    }
+
+    request(reqOpts, function (err, res) {
+        if (err) {
+            console.error('%s: %s', opts._args[0], err.message);
+            process.exit(1);
+        }
+        if (opts.json || opts._args[0] === 'get') {
+            console.log(JSON.stringify(res, null, 2));
+        } else if (opts._args[0] === 'list') {
+            res.forEach(printRecord);
+        } else if (opts._args[0] === 'replay') {
+            console.log('replayed %s: %s', id, res.outcome);
+        } else {
+            console.log('discarded %s', id);
+        }
+    });
+}
+
+
+main();
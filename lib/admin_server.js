@@ -0,0 +1,432 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var http = require('http');
+var url = require('url');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+
+///--- Globals
+
+var DEFAULT_HOST = '127.0.0.1';
+var LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+
+///--- Helpers
+
+function sendJSON(res, code, body) {
+    var data = JSON.stringify(body, null, 2) + '\n';
+    res.writeHead(code, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+    });
+    res.end(data);
+}
+
+function sendError(res, err) {
+    sendJSON(res, 500, {
+        code: 'InternalError',
+        message: err.message
+    });
+}
+
+
+///--- API
+
+/**
+ * Embedded HTTP server exposing replicator status to operators.
+ *
+ * Parameters:
+ *  - log: Bunyan logger
+ *  - replicator: Replicator instance to report on
+ *  - port: TCP port to listen on
+ *  - host: Address to listen on (default: 127.0.0.1)
+ *  - token: Bearer token required for requests which change anything.
+ *    Without one, such requests are only accepted from the loopback address.
+ */
+function AdminServer(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.replicator, 'opts.replicator');
+    assert.number(opts.port, 'opts.port');
+    assert.optionalString(opts.host, 'opts.host');
+    assert.optionalString(opts.token, 'opts.token');
+
+    EventEmitter.call(this);
+
+    this.log = opts.log;
+    this.replicator = opts.replicator;
+    this.port = opts.port;
+    this.host = opts.host || DEFAULT_HOST;
+    this.token = opts.token || null;
+
+    this._routes = [];
+    this.route('GET', '/ping', this._ping.bind(this));
+    this.route('GET', '/status', this._status.bind(this));
+    this.route('GET', '/metrics', this._metrics.bind(this));
+    this.route('GET', '/deadletters', this._listDeadLetters.bind(this));
+    this.route('GET', /^\/deadletters\/(\d+)$/,
+        this._getDeadLetter.bind(this));
+    this.route('POST', /^\/deadletters\/(\d+)\/replay$/,
+        this._replayDeadLetter.bind(this));
+    this.route('DELETE', /^\/deadletters\/(\d+)$/,
+        this._discardDeadLetter.bind(this));
+    this.route('GET', '/conflicts', this._listConflicts.bind(this));
+    this.route('GET', /^\/conflicts\/(\d+)$/,
+        this._getConflict.bind(this));
+    this.route('POST', /^\/conflicts\/(\d+)\/apply$/,
+        this._applyConflict.bind(this));
+    this.route('DELETE', /^\/conflicts\/(\d+)$/,
+        this._discardConflict.bind(this));
+    this.route('GET', '/deferred', this._listDeferred.bind(this));
+    this.route('GET', /^\/deferred\/(\d+)$/,
+        this._getDeferred.bind(this));
+    this.route('DELETE', /^\/deferred\/(\d+)$/,
+        this._discardDeferred.bind(this));
+    this.route('POST', /^\/remotes\/([^\/]+)\/suspend$/,
+        this._suspendRemote.bind(this));
+    this.route('POST', /^\/remotes\/([^\/]+)\/resume$/,
+        this._resumeRemote.bind(this));
+
+    this.server = http.createServer(this._handle.bind(this));
+}
+util.inherits(AdminServer, EventEmitter);
+module.exports = AdminServer;
+
+
+/**
+ * Register a handler for a method and path.
+ *
+ * The path may be a string for exact matches or a RegExp, in which case any
+ * captured groups are passed to the handler as params.
+ */
+AdminServer.prototype.route = function route(method, path, handler) {
+    assert.string(method, 'method');
+    assert.func(handler, 'handler');
+
+    this._routes.push({
+        method: method,
+        path: path,
+        handler: handler
+    });
+};
+
+/**
+ * Start listening for requests.
+ */
+AdminServer.prototype.listen = function listen(cb) {
+    var self = this;
+    this.server.listen(this.port, this.host, function () {
+        self.log.info({
+            host: self.host,
+            port: self.port
+        }, 'admin server listening');
+        self.emit('listening');
+        if (cb) {
+            cb();
+        }
+    });
+};
+
+/**
+ * Stop accepting requests.
+ */
+AdminServer.prototype.close = function close(cb) {
+    this.server.close(cb);
+};
+
+
+///--- Private methods
+
+/**
+ * Dispatch an incoming request to the matching route.
+ */
+AdminServer.prototype._handle = function _handle(req, res) {
+    var path = url.parse(req.url).pathname;
+    var pathMatched = false;
+
+    this.log.trace({method: req.method, path: path}, 'admin request');
+
+    for (var i = 0; i < this._routes.length; i++) {
+        var r = this._routes[i];
+        var params;
+        if (typeof (r.path) === 'string') {
+            params = (r.path === path) ? [] : null;
+        } else {
+            params = r.path.exec(path);
+            if (params) {
+                try {
+                    params = params.slice(1).map(decodeURIComponent);
+                } catch (e) {
+                    sendJSON(res, 400, {
+                        code: 'BadRequest',
+                        message: 'malformed path: ' + path
+                    });
+                    return;
+                }
+            }
+        }
+        if (!params) {
+            continue;
+        }
+        if (r.method !== req.method) {
+            pathMatched = true;
+            continue;
+        }
+        if (r.method !== 'GET' && !this._authorized(req)) {
+            this.log.warn({
+                method: req.method,
+                path: path,
+                remoteAddress: req.socket.remoteAddress
+            }, 'unauthorized admin request');
+            sendJSON(res, 403, {
+                code: 'NotAuthorized',
+                message: req.method + ' ' + path + ' requires authorization'
+            });
+            return;
+        }
+        try {
+            r.handler(req, res, params);
+        } catch (e) {
+            this.log.error({err: e, path: path}, 'admin request failed');
+            sendError(res, e);
+        }
+        return;
+    }
+
+    if (pathMatched) {
+        sendJSON(res, 405, {
+            code: 'BadMethod',
+            message: req.method + ' is not allowed on ' + path
+        });
+    } else {
+        sendJSON(res, 404, {
+            code: 'ResourceNotFound',
+            message: path + ' does not exist'
+        });
+    }
+};
+
+/**
+ * Check whether a request may change replicator state.
+ */
+AdminServer.prototype._authorized = function _authorized(req) {
+    if (this.token) {
+        return (req.headers.authorization === 'Bearer ' + this.token);
+    }
+    return (LOOPBACK.indexOf(req.socket.remoteAddress) !== -1);
+};
+
+AdminServer.prototype._ping = function _ping(req, res) {
+    sendJSON(res, 200, {ping: 'pong'});
+};
+
+AdminServer.prototype._status = function _status(req, res) {
+    sendJSON(res, 200, this.replicator.status());
+};
+
+AdminServer.prototype._metrics = function _metrics(req, res) {
+    var data = this.replicator.metrics.format();
+    res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4',
+        'Content-Length': Buffer.byteLength(data)
+    });
+    res.end(data);
+};
+
+AdminServer.prototype._listDeadLetters = function _listDeadLetters(req, res) {
+    sendJSON(res, 200, this.replicator.deadLetters.list());
+};
+
+/**
+ * Respond with a 404 if there is no dead letter with the given id.
+ */
+AdminServer.prototype._findDeadLetter = function _findDeadLetter(res, id) {
+    var record = this.replicator.deadLetters.get(id);
+    if (!record) {
+        sendJSON(res, 404, {
+            code: 'ResourceNotFound',
+            message: 'dead letter ' + id + ' does not exist'
+        });
+    }
+    return record;
+};
+
+AdminServer.prototype._getDeadLetter =
+    function _getDeadLetter(req, res, params) {
+    var record = this._findDeadLetter(res, params[0]);
+    if (record) {
+        sendJSON(res, 200, record);
+    }
+};
+
+AdminServer.prototype._replayDeadLetter =
+    function _replayDeadLetter(req, res, params) {
+    var id = params[0];
+    if (!this._findDeadLetter(res, id)) {
+        return;
+    }
+    this.replicator.replayDeadLetter(id, function (err, outcome) {
+        if (err) {
+            sendError(res, err);
+        } else {
+            sendJSON(res, 200, {id: parseInt(id, 10), outcome: outcome});
+        }
+    });
+};
+
+AdminServer.prototype._discardDeadLetter =
+    function _discardDeadLetter(req, res, params) {
+    var id = params[0];
+    if (!this._findDeadLetter(res, id)) {
+        return;
+    }
+    this.replicator.discardDeadLetter(id, function (err, record) {
+        if (err) {
+            sendError(res, err);
+        } else {
+            sendJSON(res, 200, record);
+        }
+    });
+};
+
+AdminServer.prototype._listConflicts = function _listConflicts(req, res) {
+    sendJSON(res, 200, this.replicator.conflicts.list());
+};
+
+/**
+ * Respond with a 404 if there is no conflict with the given id.
+ */
+AdminServer.prototype._findConflict = function _findConflict(res, id) {
+    var record = this.replicator.conflicts.get(id);
+    if (!record) {
+        sendJSON(res, 404, {
+            code: 'ResourceNotFound',
+            message: 'conflict ' + id + ' does not exist'
+        });
+    }
+    return record;
+};
+
+AdminServer.prototype._getConflict = function _getConflict(req, res, params) {
+    var record = this._findConflict(res, params[0]);
+    if (record) {
+        sendJSON(res, 200, record);
+    }
+};
+
+AdminServer.prototype._applyConflict =
+    function _applyConflict(req, res, params) {
+    var id = params[0];
+    if (!this._findConflict(res, id)) {
+        return;
+    }
+    this.replicator.applyConflict(id, function (err, outcome) {
+        if (err) {
+            sendError(res, err);
+        } else {
+            sendJSON(res, 200, {id: parseInt(id, 10), outcome: outcome});
+        }
+    });
+};
+
+AdminServer.prototype._discardConflict =
+    function _discardConflict(req, res, params) {
+    var id = params[0];
+    if (!this._findConflict(res, id)) {
+        return;
+    }
+    this.replicator.discardConflict(id, function (err, record) {
+        if (err) {
+            sendError(res, err);
+        } else {
+            sendJSON(res, 200, record);
+        }
+    });
+};
+
+AdminServer.prototype._listDeferred = function _listDeferred(req, res) {
+    sendJSON(res, 200, this.replicator.deferred.list());
+};
+
+/**
+ * Respond with a 404 if there is no deferred change with the given id.
+ */
+AdminServer.prototype._findDeferred = function _findDeferred(res, id) {
+    var record = this.replicator.deferred.get(id);
+    if (!record) {
+        sendJSON(res, 404, {
+            code: 'ResourceNotFound',
+            message: 'deferred change ' + id + ' does not exist'
+        });
+    }
+    return record;
+};
+
+AdminServer.prototype._getDeferred = function _getDeferred(req, res, params) {
+    var record = this._findDeferred(res, params[0]);
+    if (record) {
+        sendJSON(res, 200, record);
+    }
+};
+
+AdminServer.prototype._discardDeferred =
+    function _discardDeferred(req, res, params) {
+    var id = params[0];
+    if (!this._findDeferred(res, id)) {
+        return;
+    }
+    this.replicator.discardDeferred(id, function (err, record) {
+        if (err) {
+            sendError(res, err);
+        } else {
+            sendJSON(res, 200, record);
+        }
+    });
+};
+
+AdminServer.prototype._suspendRemote =
+    function _suspendRemote(req, res, params) {
+    this._remoteAction(res, params[0], 'suspendRemote');
+};
+
+AdminServer.prototype._resumeRemote =
+    function _resumeRemote(req, res, params) {
+    this._remoteAction(res, params[0], 'resumeRemote');
+};
+
+/**
+ * Call a Replicator method taking a remote url, responding with the new
+ * status of the remote.
+ */
+AdminServer.prototype._remoteAction =
+    function _remoteAction(res, remoteUrl, method) {
+    var replicator = this.replicator;
+    if (!replicator.getRemote(remoteUrl)) {
+        sendJSON(res, 404, {
+            code: 'ResourceNotFound',
+            message: 'remote ' + remoteUrl + ' does not exist'
+        });
+        return;
+    }
+    replicator[method](remoteUrl, function (err) {
+        if (err) {
+            sendError(res, err);
+            return;
+        }
+        var status = replicator.status().remotes.filter(function (r) {
+            return (r.url === remoteUrl);
+        });
+        sendJSON(res, 200, status[0]);
+    });
+};
@@ -0,0 +1,470 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var ldap = require('ldapjs');
+var once = require('once');
+var vasync = require('vasync');
+
+var controls = require('./controls/index');
+var Query = require('./query');
+
+
+///--- Globals
+
+var PAGE_SIZE = 100;
+
+
+///--- Helpers
+
+/**
+ * Search the local directory, passing each entry to 'result'.
+ *
+ * The query's filter names remote attributes, so when some are renamed the
+ * local entries are matched with their attributes renamed back instead.
+ */
+function searchLocal(client, query, result, done) {
+    done = once(done);
+    var renamed = (Object.keys(query.rename).length > 0);
+    var opts = {
+        scope: query.scope,
+        filter: (renamed) ? '(objectclass=*)' : query.filter,
+        paged: {
+            pageSize: PAGE_SIZE
+        }
+    };
+    var base = query.localDN || query.dn;
+    client.search(base.toString(), opts, function (err, res) {
+        if (err) {
+            done(err);
+            return;
+        }
+        res.on('searchEntry', function (entry) {
+            var obj = entry.object;
+            var dn = obj.dn;
+            delete obj.dn;
+            delete obj.controls;
+            if (!renamed || query.filter.matches(query.toRemote(obj))) {
+                result(dn, obj);
+            }
+        });
+        res.on('pageError', function () {
+            // Paging is unsupported; all results arrive in one go
+        });
+        res.on('end', function () {
+            done(null);
+        });
+        res.on('error', function (err2) {
+            if (err2.name === 'NoSuchObjectError') {
+                done(null);
+            } else {
+                done(err2);
+            }
+        });
+    });
+}
+
+/**
+ * Normalize an entry for comparison: lowercase attribute names mapped to
+ * sorted arrays of string values.
+ */
+function normalize(obj, ignore) {
+    var result = {};
+    Object.keys(obj).forEach(function (attr) {
+        var name = attr.toLowerCase();
+        if (ignore.indexOf(name) !== -1) {
+            return;
+        }
+        var vals = Array.isArray(obj[attr]) ? obj[attr] : [obj[attr]];
+        result[name] = vals.map(String).sort();
+    });
+    return result;
+}
+
+/**
+ * Keep the attributes of an entry which a query writes locally.
+ */
+function replicated(query, obj) {
+    var result = {};
+    Object.keys(obj).forEach(function (attr) {
+        if (query.replicates(attr)) {
+            result[attr] = obj[attr];
+        }
+    });
+    return result;
+}
+
+/**
+ * Compute the per-attribute differences between two normalized entries.
+ *
+ * Returns null if the entries are equal.
+ */
+function diffEntries(local, remote) {
+    var diff = {};
+    var differs = false;
+    var attrs = Object.keys(local);
+    Object.keys(remote).forEach(function (attr) {
+        if (attrs.indexOf(attr) === -1) {
+            attrs.push(attr);
+        }
+    });
+    attrs.forEach(function (attr) {
+        var l = local[attr] || [];
+        var r = remote[attr] || [];
+        if (JSON.stringify(l) !== JSON.stringify(r)) {
+            diff[attr] = {
+                local: l,
+                remote: r
+            };
+            differs = true;
+        }
+    });
+    return (differs) ? diff : null;
+}
+
+function byDepth(a, b) {
+    return (ldap.parseDN(a.dn).length - ldap.parseDN(b.dn).length);
+}
+
+/**
+ * Gather one kind of item from every query of an audit report, once per DN.
+ */
+function collect(report, kind) {
+    var items = {};
+    report.queries.forEach(function (res) {
+        res[kind].forEach(function (item) {
+            items[item.dn] = item;
+        });
+    });
+    return Object.keys(items).map(function (dn) {
+        return items[dn];
+    });
+}
+
+
+///--- API
+
+/**
+ * Compare the entries selected by a remote's queries with the local copies.
+ *
+ * Only the attributes a query replicates are compared, leaving out excluded
+ * and operational attributes.
+ *
+ * Parameters:
+ *  - log: Bunyan logger
+ *  - client: Connected ldapjs client for the local UFDS
+ *  - remote: Connected RemoteDirectory
+ *  - ignore: Additional attributes to leave out of comparisons (optional)
+ */
+function Auditor(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.client, 'opts.client');
+    assert.object(opts.remote, 'opts.remote');
+    assert.optionalArrayOfString(opts.ignore, 'opts.ignore');
+
+    this.log = opts.log;
+    this.client = opts.client;
+    this.remote = opts.remote;
+    var ignore = (opts.ignore || []).map(function (a) {
+        return a.toLowerCase();
+    });
+    this.ignore = Query.OPERATIONAL.concat(ignore);
+}
+module.exports = Auditor;
+Auditor.normalize = normalize;
+Auditor.diffEntries = diffEntries;
+
+
+/**
+ * Audit every query of the remote.
+ *
+ * The callback receives a report with, for each query, the entries which are
+ * missing locally, extra locally, or differ between the two.
+ */
+Auditor.prototype.audit = function audit(cb) {
+    var self = this;
+    var report = {
+        url: this.remote.identity.url,
+        uuid: this.remote.identity.uuid || null,
+        queries: []
+    };
+
+    vasync.forEachPipeline({
+        inputs: this.remote.queries,
+        func: function (query, next) {
+            self._auditQuery(query, function (err, res) {
+                if (!err) {
+                    report.queries.push(res);
+                }
+                next(err);
+            });
+        }
+    }, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        // An entry only present locally for one query may still be selected
+        // by another one, in which case it isn't extra.
+        var seen = {};
+        report.queries.forEach(function (res) {
+            res.remoteDNs.forEach(function (dn) {
+                seen[dn] = true;
+            });
+        });
+        report.queries.forEach(function (res) {
+            res.extra = res.extra.filter(function (item) {
+                return !seen[item.dn];
+            });
+            delete res.remoteDNs;
+        });
+        cb(null, report);
+    });
+};
+
+/**
+ * Apply the fixes for an audit report to the local UFDS.
+ *
+ * Missing entries are added parent-first and differing attributes are
+ * replaced with the remote values.  Extra entries may have been written
+ * locally or by another remote, so they are only deleted, deepest-first, when
+ * asked to.
+ *
+ * Options:
+ *  - deleteExtra: Delete the extra entries (default false)
+ *
+ * The callback receives the number of entries added, modified, deleted and
+ * kept.
+ */
+Auditor.prototype.repair = function repair(report, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.deleteExtra, 'opts.deleteExtra');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var log = this.log;
+    var missing = collect(report, 'missing');
+    var differing = collect(report, 'differing');
+    var extra = collect(report, 'extra');
+
+    var ctrls = [];
+    var result = {
+        added: 0,
+        modified: 0,
+        deleted: 0,
+        kept: (opts.deleteExtra) ? 0 : extra.length
+    };
+    function counted(action, dn, done) {
+        return function (err) {
+            if (!err) {
+                log.info({dn: dn}, action + ' entry');
+                result[action]++;
+            }
+            done(err);
+        };
+    }
+
+    vasync.pipeline({
+        funcs: [
+            function hint(_, next) {
+                self._hintControls(function (err, res) {
+                    ctrls = res;
+                    next(err);
+                });
+            },
+            function addMissing(_, next) {
+                vasync.forEachPipeline({
+                    inputs: missing.sort(byDepth),
+                    func: function (item, done) {
+                        self.client.add(item.dn, item.object, ctrls,
+                            counted('added', item.dn, done));
+                    }
+                }, function (err) {
+                    next(err);
+                });
+            },
+            function modifyDiffering(_, next) {
+                vasync.forEachPipeline({
+                    inputs: differing,
+                    func: function (item, done) {
+                        var changes = Object.keys(item.diff).map(toChange);
+                        self.client.modify(item.dn, changes, ctrls,
+                            counted('modified', item.dn, done));
+
+                        function toChange(attr) {
+                            return new ldap.Change({
+                                operation: 'replace',
+                                modification: new ldap.Attribute({
+                                    type: attr,
+                                    vals: item.diff[attr].remote
+                                })
+                            });
+                        }
+                    }
+                }, function (err) {
+                    next(err);
+                });
+            },
+            function deleteExtra(_, next) {
+                if (!opts.deleteExtra) {
+                    next();
+                    return;
+                }
+                self._deleteEntries(extra, ctrls, function (err, deleted) {
+                    result.deleted = deleted;
+                    result.kept = extra.length - deleted;
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        cb(err, result);
+    });
+};
+
+/**
+ * Delete the entries of an audit report which only exist locally,
+ * deepest-first.
+ *
+ * Entries which still have children are left in place.  The callback receives
+ * the number of entries deleted.
+ */
+Auditor.prototype.removeExtra = function removeExtra(report, cb) {
+    var self = this;
+    this._hintControls(function (err, ctrls) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        self._deleteEntries(collect(report, 'extra'), ctrls, cb);
+    });
+};
+
+
+///--- Private methods
+
+Auditor.prototype._auditQuery = function _auditQuery(query, cb) {
+    var self = this;
+    var local = {};
+    var remote = {};
+
+    function record(target) {
+        return function (dn, obj) {
+            target[ldap.parseDN(dn).toString()] = obj;
+        };
+    }
+
+    this.log.debug({query: query.query}, 'auditing query');
+    vasync.parallel({
+        funcs: [
+            function (next) {
+                // Local copies hold the entries as the query rules left them
+                self.remote.search(query, function (dn, obj) {
+                    record(remote)(self.remote.localDN(dn),
+                        self.remote.localEntry(query.transform(obj)));
+                }, next);
+            },
+            function (next) {
+                searchLocal(self.client, query, record(local), next);
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var res = {
+            query: query.query,
+            missing: [],
+            extra: [],
+            differing: [],
+            remoteDNs: Object.keys(remote)
+        };
+        Object.keys(remote).forEach(function (dn) {
+            if (!local[dn]) {
+                res.missing.push({dn: dn, object: remote[dn]});
+                return;
+            }
+            var diff = diffEntries(
+                normalize(replicated(query, local[dn]), self.ignore),
+                normalize(replicated(query, remote[dn]), self.ignore));
+            if (diff) {
+                res.differing.push({dn: dn, diff: diff});
+            }
+        });
+        Object.keys(local).forEach(function (dn) {
+            if (!remote[dn]) {
+                res.extra.push({dn: dn});
+            }
+        });
+        self.log.debug({
+            query: query.query,
+            missing: res.missing.length,
+            extra: res.extra.length,
+            differing: res.differing.length
+        }, 'query audited');
+        cb(null, res);
+    });
+};
+
+/**
+ * Build the controls tagging repairs with the remote position they reflect.
+ */
+Auditor.prototype._hintControls = function _hintControls(cb) {
+    var ident = this.remote.identity;
+    if (!ident.uuid) {
+        cb(null, []);
+        return;
+    }
+    this.remote.latestChangenumber(function (err, latest) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, [ new controls.ChangelogHintRequestControl({
+            value: {
+                uuid: ident.uuid,
+                changenumber: latest
+            }
+        }) ]);
+    });
+};
+
+/**
+ * Delete local entries deepest-first, skipping those which still have
+ * children.  The callback receives the number of entries deleted.
+ */
+Auditor.prototype._deleteEntries = function _deleteEntries(items, ctrls, cb) {
+    var log = this.log;
+    var client = this.client;
+    var deleted = 0;
+    vasync.forEachPipeline({
+        inputs: items.slice().sort(byDepth).reverse(),
+        func: function (item, done) {
+            client.del(item.dn, ctrls, function (err) {
+                if (err && err.name === 'NotAllowedOnNonLeafError') {
+                    log.warn({dn: item.dn}, 'entry has children, not deleted');
+                    err = null;
+                } else if (!err) {
+                    log.info({dn: item.dn}, 'deleted entry');
+                    deleted++;
+                }
+                done(err);
+            });
+        }
+    }, function (err) {
+        cb(err, deleted);
+    });
+};
@@ -11,5 +11,8 @@
 module.exports = {
   Replicator: require('./replicator'),
   RemoteDirectory: require('./remote_directory'),
-  Controls: require('./controls/index')
+  Query: require('./query'),
+  Controls: require('./controls/index'),
+  AdminServer: require('./admin_server'),
+  Auditor: require('./audit')
 };
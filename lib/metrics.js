@@ -0,0 +1,239 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+
+
+///--- Globals
+
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+    10];
+
+
+///--- Helpers
+
+function escapeValue(val) {
+    return String(val).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra) {
+    var pairs = [];
+    names.forEach(function (name, i) {
+        pairs.push(util.format('%s="%s"', name, escapeValue(values[i])));
+    });
+    if (extra) {
+        pairs.push(extra);
+    }
+    return (pairs.length > 0) ? '{' + pairs.join(',') + '}' : '';
+}
+
+
+///--- API
+
+/**
+ * Base for all metric types.
+ *
+ * Parameters:
+ *  - name: Metric name
+ *  - help: Description of the metric
+ *  - labels: Ordered list of label names (optional)
+ *  - collect: Function called to refresh the value before output (optional)
+ */
+function Collector(type, opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.name, 'opts.name');
+    assert.string(opts.help, 'opts.help');
+    assert.optionalArrayOfString(opts.labels, 'opts.labels');
+    assert.optionalFunc(opts.collect, 'opts.collect');
+
+    this.type = type;
+    this.name = opts.name;
+    this.help = opts.help;
+    this.labels = opts.labels || [];
+    this.collect = opts.collect;
+    this._values = {};
+}
+
+/**
+ * Find or create the series for a set of label values.
+ */
+Collector.prototype._series = function _series(labels) {
+    var self = this;
+    labels = labels || {};
+    var values = this.labels.map(function (name) {
+        assert.ok(labels[name] !== undefined,
+            self.name + ' label ' + name);
+        return labels[name];
+    });
+    var key = JSON.stringify(values);
+    if (!this._values[key]) {
+        this._values[key] = {
+            labels: values,
+            value: 0
+        };
+    }
+    return this._values[key];
+};
+
+/**
+ * Render the metric in the Prometheus text exposition format.
+ */
+Collector.prototype.format = function format() {
+    var self = this;
+    var lines = [
+        util.format('# HELP %s %s', this.name, this.help),
+        util.format('# TYPE %s %s', this.name, this.type)
+    ];
+    Object.keys(this._values).forEach(function (key) {
+        var series = self._values[key];
+        lines.push(self.name + formatLabels(self.labels, series.labels) +
+            ' ' + series.value);
+    });
+    return lines.join('\n');
+};
+
+
+function Counter(opts) {
+    Collector.call(this, 'counter', opts);
+}
+util.inherits(Counter, Collector);
+
+Counter.prototype.inc = function inc(labels, value) {
+    this._series(labels).value += (value === undefined) ? 1 : value;
+};
+
+
+function Gauge(opts) {
+    Collector.call(this, 'gauge', opts);
+}
+util.inherits(Gauge, Collector);
+
+Gauge.prototype.set = function set(labels, value) {
+    this._series(labels).value = value;
+};
+
+/**
+ * Drop the series for a set of label values.
+ */
+Gauge.prototype.remove = function remove(labels) {
+    var series = this._series(labels);
+    delete this._values[JSON.stringify(series.labels)];
+};
+
+
+/**
+ * Histogram of observed values.
+ *
+ * In addition to the Collector options, 'buckets' may specify the upper
+ * bounds of each bucket.  The default buckets suit latencies in seconds.
+ */
+function Histogram(opts) {
+    Collector.call(this, 'histogram', opts);
+    assert.optionalArrayOfNumber(opts.buckets, 'opts.buckets');
+    this.buckets = (opts.buckets || DEFAULT_BUCKETS).slice().sort(
+        function (a, b) { return (a - b); });
+}
+util.inherits(Histogram, Collector);
+
+Histogram.prototype.observe = function observe(labels, value) {
+    var series = this._series(labels);
+    if (!series.counts) {
+        series.counts = this.buckets.map(function () { return 0; });
+        series.sum = 0;
+        series.count = 0;
+    }
+    for (var i = 0; i < this.buckets.length; i++) {
+        if (value <= this.buckets[i]) {
+            series.counts[i]++;
+        }
+    }
+    series.sum += value;
+    series.count++;
+};
+
+Histogram.prototype.format = function format() {
+    var self = this;
+    var lines = [
+        util.format('# HELP %s %s', this.name, this.help),
+        util.format('# TYPE %s %s', this.name, this.type)
+    ];
+    Object.keys(this._values).forEach(function (key) {
+        var series = self._values[key];
+        self.buckets.forEach(function (bound, i) {
+            lines.push(self.name + '_bucket' +
+                formatLabels(self.labels, series.labels,
+                    util.format('le="%s"', bound)) +
+                ' ' + series.counts[i]);
+        });
+        lines.push(self.name + '_bucket' +
+            formatLabels(self.labels, series.labels, 'le="+Inf"') +
+            ' ' + series.count);
+        lines.push(self.name + '_sum' +
+            formatLabels(self.labels, series.labels) + ' ' + series.sum);
+        lines.push(self.name + '_count' +
+            formatLabels(self.labels, series.labels) + ' ' + series.count);
+    });
+    return lines.join('\n');
+};
+
+
+/**
+ * Collection of named metrics.
+ */
+function Registry() {
+    this._collectors = {};
+}
+
+Registry.prototype._register = function _register(collector) {
+    if (this._collectors[collector.name]) {
+        throw new Error('duplicate metric: ' + collector.name);
+    }
+    this._collectors[collector.name] = collector;
+    return collector;
+};
+
+Registry.prototype.counter = function counter(opts) {
+    return this._register(new Counter(opts));
+};
+
+Registry.prototype.gauge = function gauge(opts) {
+    return this._register(new Gauge(opts));
+};
+
+Registry.prototype.histogram = function histogram(opts) {
+    return this._register(new Histogram(opts));
+};
+
+/**
+ * Render all registered metrics in the Prometheus text exposition format.
+ */
+Registry.prototype.format = function format() {
+    var self = this;
+    return Object.keys(this._collectors).map(function (name) {
+        var collector = self._collectors[name];
+        if (collector.collect) {
+            collector.collect(collector);
+        }
+        return collector.format();
+    }).join('\n\n') + '\n';
+};
+
+
+///--- Exports
+
+module.exports = {
+    Registry: Registry,
+    Counter: Counter,
+    Gauge: Gauge,
+    Histogram: Histogram
+};
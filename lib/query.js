@@ -0,0 +1,230 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var ldap = require('ldapjs');
+
+
+///--- Globals
+
+var SCOPES = ['base', 'one', 'sub'];
+// Attributes maintained by the directory itself, which are never replicated
+var OPERATIONAL = [
+    'dn',
+    'controls',
+    'createtimestamp',
+    'modifytimestamp',
+    'creatorsname',
+    'modifiersname',
+    'entryuuid',
+    'entrydn',
+    'structuralobjectclass',
+    'subschemasubentry',
+    'hassubordinates'
+];
+
+
+///--- API
+
+/**
+ * Replication query, parsed from an LDAP URL fragment.
+ *
+ * Parameters:
+ *  - url: URL of the remote UFDS the query applies to
+ *  - query: LDAP URL fragment (/<base>??<scope>?<filter>), or an object
+ *    holding it in 'query' along with optional attribute rules:
+ *    - exclude: Attributes which are not replicated
+ *    - rename: Map of remote attribute names to local ones
+ *    - defaults: Values for attributes missing from added entries
+ *    - localBase: DN which the query base is replicated to locally
+ */
+function Query(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.url, 'opts.url');
+
+    var rules = opts.query;
+    if (typeof (rules) === 'string') {
+        rules = {query: rules};
+    }
+    assert.object(rules, 'opts.query');
+    assert.string(rules.query, 'opts.query.query');
+    assert.optionalArrayOfString(rules.exclude, 'opts.query.exclude');
+    assert.optionalObject(rules.rename, 'opts.query.rename');
+    assert.optionalObject(rules.defaults, 'opts.query.defaults');
+    assert.optionalString(rules.localBase, 'opts.query.localBase');
+
+    var url = ldap.parseURL((opts.url + rules.query).replace(/\s/g, '%20'));
+    assert.string(url.DN, 'query DN');
+
+    var scope = url.scope || 'sub';
+    if (SCOPES.indexOf(scope) === -1) {
+        throw new Error('invalid scope in query: ' + rules.query);
+    }
+
+    var self = this;
+    this.query = rules.query;
+    this.dn = ldap.parseDN(url.DN);
+    this.filter = url.filter || ldap.filters.parseString('(objectclass=*)');
+    this.scope = scope;
+
+    this.exclude = (rules.exclude || []).map(function (attr) {
+        return attr.toLowerCase();
+    });
+    this.rename = {};
+    Object.keys(rules.rename || {}).forEach(function (attr) {
+        assert.string(rules.rename[attr], 'opts.query.rename.' + attr);
+        self.rename[attr.toLowerCase()] = rules.rename[attr];
+    });
+    this.defaults = rules.defaults || {};
+    this.localDN = (rules.localBase) ? ldap.parseDN(rules.localBase) : null;
+}
+module.exports = Query;
+Query.OPERATIONAL = OPERATIONAL;
+
+
+/**
+ * Test if a DN falls within the base and scope of the query.
+ *
+ * As with LDAP searches, the 'base' and 'sub' scopes include the base entry
+ * itself while 'one' only covers its immediate children.
+ */
+Query.prototype.inScope = function inScope(dn) {
+    if (typeof (dn) === 'string') {
+        dn = ldap.parseDN(dn);
+    }
+    switch (this.scope) {
+    case 'base':
+        return dn.equals(this.dn);
+    case 'one':
+        var parent = dn.parent();
+        return (parent !== null && parent.equals(this.dn));
+    default:
+        // The base entry is replicated along with its subtree
+        return (dn.equals(this.dn) || dn.childOf(this.dn));
+    }
+};
+
+/**
+ * Test if an entry, at the given DN, is selected by the query.
+ */
+Query.prototype.matches = function matches(dn, obj) {
+    return (this.inScope(dn) && this.filter.matches(obj));
+};
+
+/**
+ * Map a DN at or below the query base to the local base.
+ *
+ * DNs outside of the base, or any DN when the query has no localBase, are
+ * returned unchanged.
+ */
+Query.prototype.toLocal = function toLocal(dn) {
+    if (typeof (dn) === 'string') {
+        dn = ldap.parseDN(dn);
+    }
+    if (!this.localDN || !(dn.equals(this.dn) || dn.childOf(this.dn))) {
+        return dn;
+    }
+    var rdns = dn.rdns.slice(0, dn.length - this.dn.length);
+    return new ldap.DN(rdns.concat(this.localDN.rdns));
+};
+
+/**
+ * Apply the attribute rules to an entry about to be written locally.
+ *
+ * Returns a new object without the excluded attributes, with renamed ones
+ * moved and with defaults filled in for missing attributes.
+ */
+Query.prototype.transform = function transform(obj) {
+    var self = this;
+    var result = {};
+    Object.keys(obj).forEach(function (attr) {
+        var name = self._localName(attr);
+        if (name !== null) {
+            result[name] = obj[attr];
+        }
+    });
+    var present = Object.keys(result).map(function (attr) {
+        return attr.toLowerCase();
+    });
+    Object.keys(this.defaults).forEach(function (attr) {
+        if (present.indexOf(attr.toLowerCase()) === -1) {
+            result[attr] = self.defaults[attr];
+        }
+    });
+    return result;
+};
+
+/**
+ * Undo the attribute renames of a local entry, so it can be tested against
+ * the query's filter, which names remote attributes.
+ */
+Query.prototype.toRemote = function toRemote(obj) {
+    var self = this;
+    var remote = {};
+    Object.keys(this.rename).forEach(function (attr) {
+        remote[self.rename[attr].toLowerCase()] = attr;
+    });
+    var result = {};
+    Object.keys(obj).forEach(function (attr) {
+        result[remote[attr.toLowerCase()] || attr] = obj[attr];
+    });
+    return result;
+};
+
+/**
+ * Test if a local attribute is written by the query, i.e. if it is the local
+ * name of a remote attribute which is not excluded.
+ */
+Query.prototype.replicates = function replicates(attr) {
+    var obj = {};
+    obj[attr] = true;
+    var name = this._localName(Object.keys(this.toRemote(obj))[0]);
+    return (name !== null && name.toLowerCase() === attr.toLowerCase());
+};
+
+/**
+ * Apply the attribute rules to the changes of a modify.
+ *
+ * Returns a new list without the changes to excluded attributes and with
+ * renamed ones moved.  Defaults only apply to whole entries.
+ */
+Query.prototype.transformChanges = function transformChanges(changes) {
+    var self = this;
+    var result = [];
+    changes.forEach(function (change) {
+        var mod = change.modification;
+        var name = self._localName(mod.type);
+        if (name === null) {
+            return;
+        }
+        result.push({
+            operation: change.operation,
+            modification: {
+                type: name,
+                vals: mod.vals
+            }
+        });
+    });
+    return result;
+};
+
+
+///--- Private methods
+
+/**
+ * Find the local name of a remote attribute, or null if it is excluded.
+ */
+Query.prototype._localName = function _localName(attr) {
+    var name = attr.toLowerCase();
+    if (this.exclude.indexOf(name) !== -1) {
+        return null;
+    }
+    return (this.rename[name] || attr);
+};
@@ -14,10 +14,82 @@ var assert = require('assert-plus');
 var once = require('once');
 var ldap = require('ldapjs');
 
+var Query = require('./query');
+
 ///--- Globals
 
 var CHANGELOG = 'cn=changelog';
 var UFDS_UUID = 'cn=uuid';
+var LATEST_INTERVAL = 30000;
+var SEARCH_PAGE_SIZE = 100;
+var QUEUE_SIZE = 1000;
+// Persistent search change types: add, delete, modify and modDN
+var PSEARCH_CHANGE_TYPES = 15;
+// Delay before reopening a persistent search ended by the server
+var PSEARCH_RETRY = 1000;
+// Attributes holding DNs, which are mapped along with the entry DN
+var DN_ATTRS = ['uniquemember', 'member', 'owner', 'memberof'];
+// Changetypes of renames, which move an entry to 'newdn'
+var RENAME_TYPES = ['modrdn', 'moddn'];
+// Separates the uuids of the path carried in changelog hints
+var PATH_SEPARATOR = ',';
+
+///--- Helpers
+
+/**
+ * Read the origin recorded in a changelog entry by the changelog hint
+ * control, if any.
+ *
+ * The hint's uuid holds the path of UFDS uuids the change was replicated
+ * through, oldest first.  The origin's 'path' holds them all and its 'uuid'
+ * the last, which the change was replicated from.
+ */
+function changeOrigin(obj) {
+    if (!obj.hint) {
+        return null;
+    }
+    var hint;
+    try {
+        hint = JSON.parse(obj.hint);
+    } catch (e) {
+        return null;
+    }
+    if (typeof (hint.uuid) !== 'string') {
+        return null;
+    }
+    hint.path = hint.uuid.split(PATH_SEPARATOR);
+    hint.uuid = hint.path[hint.path.length - 1];
+    return hint;
+}
+
+/**
+ * Build the uuid for the changelog hint of a change replicated from the given
+ * UFDS: the path of the change so far, followed by that UFDS.
+ */
+function hintPath(origin, uuid) {
+    var path = (origin && origin.path) ? origin.path : [];
+    return path.concat([uuid]).join(PATH_SEPARATOR);
+}
+
+/**
+ * Find the DN a rename moves its target to.
+ *
+ * The changes either hold the new DN, or the new RDN along with an optional
+ * new superior.
+ */
+function renamedDN(targetdn, changes) {
+    if (changes.newdn) {
+        return ldap.parseDN(changes.newdn);
+    }
+    var rdn = changes.newrdn || changes.newRdn;
+    var parent = changes.newsuperior || changes.newSuperior ||
+        targetdn.parent().toString();
+    if (!rdn) {
+        throw new Error('rename without a new DN: ' + targetdn.toString());
+    }
+    return ldap.parseDN(rdn + ', ' + parent);
+}
+
 
 ///--- API
 
@@ -26,7 +98,8 @@ function RemoteDirectory(opts) {
     assert.object(opts.log, 'opts.log');
     assert.object(opts.ldapConfig, 'opts.ldapConfig');
     assert.string(opts.ldapConfig.url, 'opts.ldapConfig.url');
-    assert.arrayOfString(opts.ldapConfig.queries, 'opts.ldapConfig.queries');
+    assert.ok(Array.isArray(opts.ldapConfig.queries),
+        'opts.ldapConfig.queries');
 
     EventEmitter.call(this);
     var self = this;
@@ -42,13 +115,23 @@ function RemoteDirectory(opts) {
 
     this.log = opts.log;
     this.pollInterval = opts.pollInterval;
-    this.queueSize = opts.queueSize;
+    this.queueSize = opts.queueSize || QUEUE_SIZE;
+    this.latestInterval = opts.latestInterval || LATEST_INTERVAL;
+    this.persistentSearch = !!opts.persistentSearch;
+    this.changelogFilter = !!opts.changelogFilter;
+    // Changes written by a replicator from these UFDS uuids are skipped
+    this.ignoreOrigins = opts.ignoreOrigins || [];
+    this.watching = false; // Persistent search on the changelog is open
+    this._watchTimer = null; // Set while waiting to reopen the search
     this.ldapConfig = opts.ldapConfig;
     this.rawQueries = opts.ldapConfig.queries;
     this._parseQueries(this.ldapConfig.queries);
 }
 util.inherits(RemoteDirectory, EventEmitter);
 module.exports = RemoteDirectory;
+RemoteDirectory.changeOrigin = changeOrigin;
+RemoteDirectory.hintPath = hintPath;
+RemoteDirectory.RENAME_TYPES = RENAME_TYPES;
 
 
 /**
@@ -134,11 +217,16 @@ RemoteDirectory.prototype.connect = function connect() {
           version: self.version
         }, 'connected and bound');
         self.emit('connect');
+        self._watchLatest();
+        if (self.persistentSearch) {
+            self._watchChanges();
+        }
     });
     client.on('error', function (err) {
         log.warn(err, 'ldap error');
     });
     client.on('close', function () {
+        self.watching = false;
         if (!self.client.destroyed) {
             log.warn('ldap disconnect');
         }
@@ -166,11 +254,19 @@ RemoteDirectory.prototype.connect = function connect() {
 /**
  * Poll for new changelog entries.
  *
+ * With changelogFilter set, only changes to entries within the query bases
+ * are fetched, along with the first and last changes of the range so that it
+ * is covered even when none of its other changes are returned.  The range is
+ * limited to the newest changenumber known, which is only looked up again
+ * once the range starts past it.  Fetched changes are still matched against
+ * the queries.
+ *
  * Parameters:
  *  - start: Starting changenumber
  *  - end: Ending changenumber
  *  - result: Result callback
- *  - done: Completion callback
+ *  - done: Completion callback, called with the last and first changenumbers
+ *    encountered (0 if none)
  */
 RemoteDirectory.prototype.poll = function poll(start, end, result, done) {
     if (this.polling) {
@@ -178,71 +274,271 @@ RemoteDirectory.prototype.poll = function poll(start, end, result, done) {
         return;
     }
     var self = this;
+    var first = 0;
     var cb = once(function (last) {
         self.polling = false;
-        self.log.debug({last: last}, 'poll end');
-        done(last);
+        self.log.debug({last: last, first: first}, 'poll end');
+        done(last, first);
     });
     this.polling = true;
     this.log.debug({start: start, end: end}, 'poll start');
 
-    var filter = new ldap.AndFilter({
-        filters: [
-            new ldap.GreaterThanEqualsFilter({
-                attribute: 'changenumber',
-                value: start.toString()
-            }),
-            new ldap.LessThanEqualsFilter({
-                attribute: 'changenumber',
-                value: end.toString()
-            })
-        ]
+    function search(target) {
+        var filter = new ldap.AndFilter({
+            filters: [
+                new ldap.GreaterThanEqualsFilter({
+                    attribute: 'changenumber',
+                    value: start.toString()
+                }),
+                new ldap.LessThanEqualsFilter({
+                    attribute: 'changenumber',
+                    value: end.toString()
+                })
+            ]
+        });
+        if (target) {
+            filter.addFilter(target);
+        }
+        var opts = {
+            scope: 'sub',
+            filter: filter
+        };
+        self.client.search(CHANGELOG, opts, function (err, res) {
+            var last = 0;
+            if (err) {
+                self.log.warn({err: err}, 'error during changelog search');
+                cb(last);
+                return;
+            }
+            res.on('searchEntry', function (entry) {
+                var data = self._parseChange(entry.object);
+                last = parseInt(data.changenumber, 10);
+                if (first === 0) {
+                    first = last;
+                }
+                if (data.queries.length > 0) {
+                    result(data);
+                }
+            });
+            res.on('end', function () {
+                cb(last);
+            });
+            res.on('error', function (err2) {
+                self.log.warn({err: err2}, 'error during search');
+                cb(last);
+            });
+        });
+    }
+
+    function filtered() {
+        end = Math.min(end, self.latest);
+        // The first change is always fetched, so a trimmed changelog can
+        // still be detected, and the last so the range is covered
+        search(new ldap.OrFilter({
+            filters: self._targetFilters().concat([start, end].map(
+                function (changenumber) {
+                return new ldap.EqualityFilter({
+                    attribute: 'changenumber',
+                    value: changenumber.toString()
+                });
+            }), RENAME_TYPES.map(function (type) {
+                // Renames may move entries into the query bases
+                return new ldap.EqualityFilter({
+                    attribute: 'changetype',
+                    value: type
+                });
+            }))
+        }));
+    }
+
+    if (!this.changelogFilter) {
+        search(null);
+        return;
+    }
+    if (this.latest >= start) {
+        filtered();
+        return;
+    }
+    this.latestChangenumber(function (err, latest) {
+        if (err) {
+            self.log.warn({err: err}, 'unable to query latest changenumber');
+            cb(0);
+            return;
+        }
+        if (latest < start) {
+            cb(0);
+            return;
+        }
+        filtered();
     });
+};
+
+
+/**
+ * Search the remote directory for entries matching a parsed query.
+ *
+ * Parameters:
+ *  - query: Parsed query, as found in this.queries
+ *  - result: Called with the DN and attributes of each matching entry
+ *  - done: Completion callback
+ */
+RemoteDirectory.prototype.search = function search(query, result, done) {
+    done = once(done);
+    var self = this;
     var opts = {
-        scope: 'sub',
-        filter: filter
+        scope: query.scope,
+        filter: query.filter,
+        paged: {
+            pageSize: SEARCH_PAGE_SIZE
+        }
     };
-    this.client.search(CHANGELOG, opts, function (err, res) {
-        var last = 0;
+    this.client.search(query.dn.toString(), opts, function (err, res) {
         if (err) {
-            self.warn({err: err}, 'error during changelog search');
-            cb(last);
+            done(err);
             return;
         }
         res.on('searchEntry', function (entry) {
-            // Format the entry
-            var data = entry.object;
-            last = parseInt(data.changenumber, 10);
-            try {
-                var parsed = JSON.parse(data.changes);
-                data.changes = parsed;
-            } catch (e) {
-                self.emit('error', e);
+            var obj = entry.object;
+            var dn = obj.dn;
+            delete obj.dn;
+            delete obj.controls;
+            result(dn, obj);
+        });
+        res.on('pageError', function (err2) {
+            // The server ignored the paging request and sent everything
+            self.log.debug({err: err2}, 'paged search not supported');
+        });
+        res.on('end', function () {
+            done(null);
+        });
+        res.on('error', function (err2) {
+            if (err2.name === 'NoSuchObjectError') {
+                // Nothing exists under this query base (yet)
+                self.log.debug({query: query.query}, 'query base not found');
+                done(null);
+            } else {
+                done(err2);
             }
-            data.targetdn = ldap.parseDN(data.targetdn);
+        });
+    });
+};
 
-            var queries = self._matchQueries(data);
-            if (queries.length > 0) {
-                // Forward the filters downstream for del/mod changes
-                data.queries = queries;
-                result(data);
-            }
+/**
+ * Fetch the current contents of a single remote entry.
+ *
+ * The callback receives the entry's attributes, or null if it does not
+ * exist (anymore).
+ */
+RemoteDirectory.prototype.get = function get(dn, cb) {
+    cb = once(cb);
+    var found = null;
+    this.client.search(dn.toString(), {scope: 'base'}, function (err, res) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        res.on('searchEntry', function (entry) {
+            found = entry.object;
+            delete found.dn;
+            delete found.controls;
         });
         res.on('end', function () {
-            cb(last);
+            cb(null, found);
         });
         res.on('error', function (err2) {
-            self.log.warn({err: err2}, 'error during search');
-            cb(last);
+            if (err2.name === 'NoSuchObjectError') {
+                cb(null, null);
+            } else {
+                cb(err2);
+            }
         });
     });
 };
 
+/**
+ * Query the newest changenumber in the remote changelog.
+ *
+ * The callback receives the changenumber, or 0 if the changelog is empty.
+ */
+RemoteDirectory.prototype.latestChangenumber =
+    function latestChangenumber(cb) {
+    var self = this;
+    this._changenumberBound(true, function (err, latest) {
+        if (!err) {
+            self.latest = latest;
+        }
+        cb(err, latest);
+    });
+};
+
+/**
+ * Query the oldest changenumber still present in the remote changelog.
+ *
+ * The callback receives the changenumber, or 0 if the changelog is empty.
+ */
+RemoteDirectory.prototype.oldestChangenumber =
+    function oldestChangenumber(cb) {
+    this._changenumberBound(false, cb);
+};
+
+/**
+ * Map a remote DN to the local DN it is replicated to.
+ *
+ * The most specific query base with a localBase applies.  Returns a string.
+ */
+RemoteDirectory.prototype.localDN = function localDN(dn) {
+    if (typeof (dn) === 'string') {
+        dn = ldap.parseDN(dn);
+    }
+    return (this._mapDN(dn) || dn).toString();
+};
+
+/**
+ * Map the DN-valued attributes of an entry to their local DNs.
+ */
+RemoteDirectory.prototype.localEntry = function localEntry(obj) {
+    var self = this;
+    var result = {};
+    Object.keys(obj).forEach(function (attr) {
+        result[attr] = self._localValues(attr, obj[attr]);
+    });
+    return result;
+};
+
+/**
+ * Map the DN-valued attributes in the changes of a modify to their local DNs.
+ */
+RemoteDirectory.prototype.localChanges = function localChanges(changes) {
+    var self = this;
+    return changes.map(function (change) {
+        var mod = change.modification;
+        return {
+            operation: change.operation,
+            modification: {
+                type: mod.type,
+                vals: self._localValues(mod.type, mod.vals)
+            }
+        };
+    });
+};
+
+/**
+ * Replace the replication queries.
+ */
+RemoteDirectory.prototype.setQueries = function setQueries(queries) {
+    assert.ok(Array.isArray(queries), 'queries');
+    this._parseQueries(queries);
+    this.ldapConfig.queries = queries;
+    this.rawQueries = queries;
+    this.log.info({queries: queries}, 'queries updated');
+};
 
 /**
  * Destroy connection to remote UFDS.
  */
 RemoteDirectory.prototype.destroy = function destroy() {
+    this._unwatchLatest();
+    this._unwatchChanges();
     if (this.client.destroyed) {
         return;
     }
@@ -253,6 +549,8 @@ RemoteDirectory.prototype.destroy = function destroy() {
  * Unbind/disconnect from remote UFDS.
  */
 RemoteDirectory.prototype.unbind = function unbind(callback) {
+    this._unwatchLatest();
+    this._unwatchChanges();
     if (this.client.connected) {
         callback = (callback) ? callback : function () { };
         this.client.unbind(callback);
@@ -260,31 +558,281 @@ RemoteDirectory.prototype.unbind = function unbind(callback) {
 };
 
 
+/**
+ * Format a changelog entry, matching it against the configured queries.
+ *
+ * The matching queries are forwarded downstream in 'queries', since del/mod
+ * changes must be checked against the local entry.  Changes replicated to the
+ * remote through an ignored origin match no query, and 'looped' is emitted.
+ * Neither do renames whose new DN can't be worked out.
+ */
+RemoteDirectory.prototype._parseChange = function _parseChange(data) {
+    this.changetime = data.changetime;
+    try {
+        var parsed = JSON.parse(data.changes);
+        data.changes = parsed;
+    } catch (e) {
+        this.emit('error', e);
+    }
+    data.targetdn = ldap.parseDN(data.targetdn);
+    var unparsed = null;
+    if (RENAME_TYPES.indexOf(data.changetype) !== -1) {
+        try {
+            data.newdn = renamedDN(data.targetdn, data.changes);
+        } catch (e) {
+            unparsed = e;
+        }
+    }
+    data.origin = changeOrigin(data);
+    var ignored = this.ignoreOrigins;
+    if (unparsed) {
+        // Without its new DN a rename can't be applied, so it is dropped
+        this.log.error({
+            err: unparsed,
+            changenumber: data.changenumber,
+            targetdn: data.targetdn.toString()
+        }, 'skipping rename with an invalid new DN');
+        data.queries = [];
+    } else if (data.origin && data.origin.path.some(function (uuid) {
+        return (ignored.indexOf(uuid) !== -1);
+    })) {
+        this.log.trace({
+            changenumber: data.changenumber,
+            path: data.origin.path
+        }, 'skipping change from ignored origin');
+        data.queries = [];
+        this.emit('looped', data);
+    } else {
+        data.queries = this._matchQueries(data);
+    }
+    return data;
+};
+
+/**
+ * Open a persistent search for new changelog entries.
+ *
+ * Emits 'watch' once the search is sent and 'change' for every new entry,
+ * whether or not it matches the queries.  The search ends with the
+ * connection and is opened again on reconnect.  A search which fails or is
+ * ended by the server while connected is opened again after PSEARCH_RETRY
+ * milliseconds.
+ */
+RemoteDirectory.prototype._watchChanges = function _watchChanges() {
+    var self = this;
+    this._unwatchChanges();
+    var opts = {
+        scope: 'sub',
+        filter: '(changenumber>=0)'
+    };
+    var psearch = new ldap.PersistentSearchControl({
+        value: {
+            changeTypes: PSEARCH_CHANGE_TYPES,
+            changesOnly: true,
+            returnECs: false
+        }
+    });
+    var stop = once(function (err) {
+        self.watching = false;
+        if (!self.client.destroyed) {
+            self.log.warn({err: err}, 'persistent search ended');
+            self._rewatchChanges();
+        }
+    });
+    this.client.search(CHANGELOG, opts, [psearch], function (err, res) {
+        if (err) {
+            self.log.warn({err: err}, 'unable to start persistent search');
+            self._rewatchChanges();
+            return;
+        }
+        self.watching = true;
+        self.log.info('persistent search started');
+        self.emit('watch');
+        res.on('searchEntry', function (entry) {
+            self.emit('change', self._parseChange(entry.object));
+        });
+        res.on('end', stop.bind(null, null));
+        res.on('error', stop);
+    });
+};
+
+/**
+ * Open the persistent search again after a delay, if still connected.  On
+ * disconnect, the search is opened again once reconnected instead.
+ */
+RemoteDirectory.prototype._rewatchChanges = function _rewatchChanges() {
+    var self = this;
+    if (this._watchTimer || this.client.destroyed) {
+        return;
+    }
+    this._watchTimer = setTimeout(function () {
+        self._watchTimer = null;
+        if (self.connected && !self.watching) {
+            self._watchChanges();
+        }
+    }, PSEARCH_RETRY);
+};
+
+RemoteDirectory.prototype._unwatchChanges = function _unwatchChanges() {
+    if (this._watchTimer) {
+        clearTimeout(this._watchTimer);
+        this._watchTimer = null;
+    }
+};
+
+/**
+ * Find the first changenumber of the changelog in the given sort order.
+ */
+RemoteDirectory.prototype._changenumberBound =
+    function _changenumberBound(reverse, cb) {
+    cb = once(cb);
+    var opts = {
+        scope: 'one',
+        sizeLimit: 1,
+        filter: '(changenumber>=0)'
+    };
+    var sort = new ldap.ServerSideSortingRequestControl({
+        value: {
+            attributeType: 'changenumber',
+            reverseOrder: reverse
+        }
+    });
+    this.client.search(CHANGELOG, opts, [sort], function (err, res) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var changenumber = 0;
+        res.once('searchEntry', function (entry) {
+            changenumber = parseInt(entry.object.changenumber, 10);
+        });
+        res.once('end', function () {
+            cb(null, changenumber);
+        });
+        res.once('error', cb);
+    });
+};
+
+/**
+ * Periodically refresh the newest remote changenumber, emitting 'latest'.
+ */
+RemoteDirectory.prototype._watchLatest = function _watchLatest() {
+    var self = this;
+    function check() {
+        if (!self.connected) {
+            return;
+        }
+        self.latestChangenumber(function (err, latest) {
+            if (err) {
+                self.log.warn({err: err},
+                    'unable to query latest changenumber');
+                return;
+            }
+            self.emit('latest', latest);
+        });
+    }
+
+    this._unwatchLatest();
+    this._latestTimer = setInterval(check, this.latestInterval);
+    check();
+};
+
+RemoteDirectory.prototype._unwatchLatest = function _unwatchLatest() {
+    if (this._latestTimer) {
+        clearInterval(this._latestTimer);
+        this._latestTimer = null;
+    }
+};
+
+
 /**
  * Parse queries for entry matching.
  */
 RemoteDirectory.prototype._parseQueries = function _parseQueries(queries) {
     var self = this;
-    var parsed = [];
-    queries.forEach(function (query) {
-        var url = ldap.parseURL(
-            (self.identity.url + query).replace(/\s/g, '%20'));
-
-        var filter = url.filter || ldap.filters.parseString('(objectclass=*)');
-        var scope = url.scope || 'sub';
-
-        // Only support scope=sub for how
-        assert.equal(scope, 'sub');
-        assert.string(url.DN);
-
-        parsed.push({
-            query: query,
-            dn: ldap.parseDN(url.DN),
-            filter: filter,
-            scope: scope
+    this.queries = queries.map(function (query) {
+        return new Query({
+            url: self.identity.url,
+            query: query
         });
     });
-    this.queries = parsed;
+    // Set when any query replicates to a different local base
+    this._mapped = this.queries.some(function (query) {
+        return (query.localDN !== null);
+    });
+};
+
+
+/**
+ * Map a DN with the most specific query base having a localBase.
+ *
+ * Returns null if no query maps the DN.
+ */
+RemoteDirectory.prototype._mapDN = function _mapDN(dn) {
+    var best = null;
+    var result = null;
+    this.queries.forEach(function (query) {
+        var mapped = query.toLocal(dn);
+        if (mapped !== dn && (!best || query.dn.length > best.dn.length)) {
+            best = query;
+            result = mapped;
+        }
+    });
+    return result;
+};
+
+/**
+ * Map the values of a DN-valued attribute.  Values which aren't DNs are left
+ * alone.
+ */
+RemoteDirectory.prototype._localValues = function _localValues(attr, vals) {
+    if (!this._mapped || DN_ATTRS.indexOf(attr.toLowerCase()) === -1) {
+        return vals;
+    }
+    var self = this;
+    function map(val) {
+        var mapped = null;
+        try {
+            mapped = self._mapDN(ldap.parseDN(val));
+        } catch (e) {
+            // Not a DN
+        }
+        return (mapped) ? mapped.toString() : val;
+    }
+    return (Array.isArray(vals)) ? vals.map(map) : map(vals);
+};
+
+/**
+ * Build changelog filters selecting changes to entries within the query bases.
+ *
+ * Objectclasses are left to _matchQueries, since only add changes carry them
+ * in the changelog.
+ */
+RemoteDirectory.prototype._targetFilters = function _targetFilters() {
+    var seen = {};
+    var filters = [];
+    this.queries.forEach(function (query) {
+        var base = query.dn.toString();
+        var exact = (query.scope === 'base');
+        var key = (exact ? '=' : '*') + base;
+        if (seen[key]) {
+            return;
+        }
+        seen[key] = true;
+        if (exact) {
+            filters.push(new ldap.EqualityFilter({
+                attribute: 'targetdn',
+                value: base
+            }));
+        } else {
+            // The base and everything below it
+            filters.push(new ldap.SubstringFilter({
+                attribute: 'targetdn',
+                any: [],
+                final: base
+            }));
+        }
+    });
+    return filters;
 };
 
 
@@ -296,17 +844,22 @@ RemoteDirectory.prototype._matchQueries = function _matchQueries(entry) {
     for (var i = 0; i < this.queries.length; i++) {
         var query = this.queries[i];
 
-        if (entry.targetdn.childOf(query.dn)) {
+        if (entry.newdn && (query.inScope(entry.targetdn) ||
+            query.inScope(entry.newdn))) {
+            // Renames into, within or out of the query's scope.  The local
+            // and remote entries must be consulted for validity
+            matches.push(query);
+        } else if (query.inScope(entry.targetdn)) {
             switch (entry.changetype) {
             case 'modify':
             case 'delete':
                 // The local entry must be consulted for validity
-                matches.push(query.filter);
+                matches.push(query);
                 break;
             case 'add':
                 // Add entries are easy. They can be matched on the spot.
                 if (query.filter.matches(entry.changes)) {
-                    matches.push(query.filter);
+                    matches.push(query);
                     return matches;
                 }
                 break;
@@ -19,8 +19,12 @@ var once = require('once');
 var clone = require('clone');
 var vasync = require('vasync');
 
+var Auditor = require('./audit');
+var Query = require('./query');
+var RecordStore = require('./store');
 var RemoteDirectory = require('./remote_directory');
 var controls = require('./controls/index');
+var metrics = require('./metrics');
 
 
 //--- Globals
@@ -29,6 +33,237 @@ var PAGE_SIZE = 50;
 var INIT_BACKOFF_START = 1000;
 var INIT_BACKOFF_MAX = 60000;
 var RETRY_MAX = 3;
+var RETRY_DELAY = 500;
+var CHECKPOINT_INTERVAL = 30000;
+var QUEUE_SIZE = 1000; // Default queueSize of a RemoteDirectory
+var DEFER_TIMEOUT = 600000;
+var DEFER_SWEEP = 10000;
+var LATER_MAX = 100; // Skipped changes added to a single conflict record
+var CHANGELOG = 'cn=changelog';
+var UFDS_UUID = 'cn=uuid';
+var CONFLICT_POLICIES = [
+    'remote-wins',
+    'local-wins',
+    'newest-changetime-wins',
+    'record-and-skip'
+];
+// Remote options which can be changed without reconnecting
+var RELOADABLE = [
+    'queries',
+    'bootstrap',
+    'resyncOnGap',
+    'changelogFilter',
+    'conflictPolicy',
+    'recursiveDelete',
+    'fetchParents'
+];
+// Outcomes which leave an entry at the change's (new) DN
+var CREATED = ['add', 'add-modify', 'modify-add', 'rename', 'rename-add'];
+// Outcomes which leave the local UFDS, and so the checkpoint, untouched
+var UNWRITTEN = ['ignore', 'skip', 'non-leaf', 'conflict'];
+
+
+///--- Helpers
+
+/**
+ * Serialize the parts of a remote config which require a new connection.
+ */
+function connectionConfig(opts) {
+    var config = clone(opts);
+    RELOADABLE.forEach(function (key) {
+        delete config[key];
+    });
+    return JSON.stringify(config);
+}
+
+/**
+ * Copy a changelog entry into a form which can be stored as JSON.
+ */
+function storedChange(change) {
+    var stored = {
+        changenumber: change.changenumber,
+        changetype: change.changetype,
+        changetime: change.changetime,
+        targetdn: change.targetdn.toString(),
+        changes: change.changes
+    };
+    if (change.newdn) {
+        stored.newdn = change.newdn.toString();
+    }
+    if (change.origin) {
+        stored.origin = change.origin;
+    }
+    return stored;
+}
+
+/**
+ * Compute the modifications bringing a local entry to the state it has once
+ * the changes of a modify are applied to it.
+ *
+ * Added and deleted values are filtered against the local entry, as it
+ * stands after the changes before them, so values written locally in the
+ * meantime are merged with rather than overwritten.  Replaced attributes are
+ * only kept when their values differ.  Changes left with nothing to do are
+ * dropped, so the result can be applied any number of times.
+ */
+function targetChanges(old, changes) {
+    var current = {};
+    Object.keys(old).forEach(function (attr) {
+        current[attr.toLowerCase()] = [].concat(old[attr]).map(String);
+    });
+
+    var result = [];
+    changes.forEach(function (change) {
+        var mod = change.modification;
+        var name = mod.type.toLowerCase();
+        var before = current[name] || [];
+        var vals = mod.vals.map(String);
+        switch (change.operation) {
+        case 'add':
+            vals = vals.filter(function (val, i) {
+                return (before.indexOf(val) === -1 && vals.indexOf(val) === i);
+            });
+            if (vals.length === 0) {
+                return;
+            }
+            current[name] = before.concat(vals);
+            break;
+        case 'delete':
+            if (vals.length === 0) {
+                // Deleting without values removes the whole attribute
+                if (!current[name]) {
+                    return;
+                }
+                delete current[name];
+                break;
+            }
+            vals = vals.filter(function (val, i) {
+                return (before.indexOf(val) !== -1 && vals.indexOf(val) === i);
+            });
+            if (vals.length === 0) {
+                return;
+            }
+            current[name] = before.filter(function (val) {
+                return (vals.indexOf(val) === -1);
+            });
+            if (current[name].length === 0) {
+                delete current[name];
+            }
+            break;
+        default:
+            if (JSON.stringify(before.slice().sort()) ===
+                JSON.stringify(vals.slice().sort())) {
+                return;
+            }
+            if (vals.length === 0) {
+                delete current[name];
+            } else {
+                current[name] = vals;
+            }
+            break;
+        }
+        result.push({
+            operation: change.operation,
+            modification: {
+                type: mod.type,
+                vals: vals
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Compute the modifications turning a local entry into the given one.
+ *
+ * Attributes which differ are replaced and attributes the new entry lacks
+ * are deleted.  Operational attributes, and those for which keep() returns
+ * false, are left alone.
+ */
+function entryChanges(old, obj, keep) {
+    function values(entry) {
+        var result = {};
+        Object.keys(entry).forEach(function (attr) {
+            var name = attr.toLowerCase();
+            if (Query.OPERATIONAL.indexOf(name) === -1 && keep(attr)) {
+                result[name] = {
+                    type: attr,
+                    vals: [].concat(entry[attr]).map(String)
+                };
+            }
+        });
+        return result;
+    }
+    var current = values(old);
+    var target = values(obj);
+
+    var result = [];
+    Object.keys(target).forEach(function (name) {
+        var before = (current[name]) ? current[name].vals.slice().sort() : [];
+        var after = target[name].vals;
+        if (JSON.stringify(before) === JSON.stringify(after.slice().sort())) {
+            return;
+        }
+        result.push({
+            operation: 'replace',
+            modification: target[name]
+        });
+    });
+    Object.keys(current).forEach(function (name) {
+        if (!target[name]) {
+            result.push({
+                operation: 'delete',
+                modification: {
+                    type: current[name].type,
+                    vals: []
+                }
+            });
+        }
+    });
+    return result;
+}
+
+/**
+ * Find the local DN of the entry left by a successfully applied change.
+ */
+function createdDN(entry) {
+    var change = entry.change;
+    return entry.remote.connection.localDN(change.newdn || change.targetdn);
+}
+
+/**
+ * Assert that a remote's conflict policy, if any, is known.
+ */
+function assertConflictPolicy(policy) {
+    assert.optionalString(policy, 'conflictPolicy');
+    if (policy && CONFLICT_POLICIES.indexOf(policy) === -1) {
+        throw new Error('invalid conflict policy: ' + policy);
+    }
+}
+
+/**
+ * Test if a DN string, which may not parse, names the given DN.
+ */
+function sameDN(str, dn) {
+    try {
+        return ldap.parseDN(str).equals(dn);
+    } catch (e) {
+        return false;
+    }
+}
+
+function assertQueueLimits(opts) {
+    if (opts.queueLowWater === undefined) {
+        return;
+    }
+    var size = opts.queueSize || QUEUE_SIZE;
+    if (typeof (opts.queueLowWater) !== 'number' || opts.queueLowWater < 0 ||
+        opts.queueLowWater >= size) {
+        throw new Error(util.format(
+            'queueLowWater must be a number below queueSize (%d): %s',
+            size, opts.queueLowWater));
+    }
+}
 
 
 ///--- API
@@ -47,6 +282,9 @@ function Replicator(opts) {
     this.checkpointObjectclass = opts.checkpointObjectclass ||
         'sdcreplcheckpoint';
     this.pollInterval = parseInt(opts.pollInterval, 10) || 1000;
+    // UFDS uuids whose changes must not be replicated back to them.  Shared
+    // with every remote, and joined by the local uuid once it is known.
+    this.ignoreOrigins = (opts.ignoreOrigins || []).slice();
 
     var self = this;
     this._remotes = {};
@@ -57,7 +295,7 @@ function Replicator(opts) {
     // Valid states:
     // - init: Initializing resources before startup
     // - poll: Polling remote servers for new changes
-    // - process: Applying changes in queue
+    // - process: Polling and applying changes in the remote queues
     // - wait: Waiting for local server reconnect
     // - destroy: Shutdown/destroyed
     this._state = 'init';
@@ -65,12 +303,45 @@ function Replicator(opts) {
         return self._state;
     });
 
-    this._queue = [];
+    this._current = null; // Entry being applied
+    this._lastServed = null; // Remote of the last entry applied
+    this._initializing = false; // Checkpoints being loaded by resume()
+    this.retryDelay = parseInt(opts.retryDelay, 10) || RETRY_DELAY;
+    this.checkpointInterval = parseInt(opts.checkpointInterval, 10) ||
+        CHECKPOINT_INTERVAL;
+    this.deferTimeout = parseInt(opts.deferTimeout, 10) || DEFER_TIMEOUT;
+    this._lastError = null;
+
+    // Changes which could not be applied after RETRY_MAX attempts
+    this.deadLetters = new RecordStore({
+        log: this.log.child({component: 'deadletters'}),
+        path: opts.deadLetterPath
+    });
+    // Changes which met local writes made since the entry was replicated
+    this.conflicts = new RecordStore({
+        log: this.log.child({component: 'conflicts'}),
+        path: opts.conflictPath
+    });
+    // Adds waiting for their parent entry to exist locally
+    this.deferred = new RecordStore({
+        log: this.log.child({component: 'deferred'}),
+        path: opts.deferredPath
+    });
+    this._deferTimer = null;
+    // Remote state which must survive restarts, such as changelog gaps
+    this.remoteStates = new RecordStore({
+        log: this.log.child({component: 'state'}),
+        path: opts.statePath
+    });
+
+    this.metrics = new metrics.Registry();
+    this._initMetrics();
 
     this._connect();
 }
 util.inherits(Replicator, EventEmitter);
 module.exports = Replicator;
+Replicator.targetChanges = targetChanges;
 
 /**
  * Add remove UFDS instance to replicate from.
@@ -78,7 +349,10 @@ module.exports = Replicator;
 Replicator.prototype.addRemote = function addRemote(opts) {
     assert.object(opts);
     assert.string(opts.url);
+    var self = this;
     var url = opts.url;
+    assertConflictPolicy(opts.conflictPolicy);
+    assertQueueLimits(opts);
 
     if (this._remotes[url]) {
         this.emit('error', new Error(util.format(
@@ -91,15 +365,361 @@ Replicator.prototype.addRemote = function addRemote(opts) {
     var log = this.log.child({remoteUFDS: url});
     var remote = new RemoteDirectory({
         ldapConfig: config,
-        log: log
+        log: log,
+        latestInterval: opts.latestInterval,
+        queueSize: opts.queueSize,
+        persistentSearch: opts.persistentSearch,
+        changelogFilter: opts.changelogFilter,
+        ignoreOrigins: this.ignoreOrigins
+    });
+    remote.on('latest', this._updateLag.bind(this, url));
+    remote.on('looped', function (change) {
+        var looped = self._remotes[url];
+        var changenumber = parseInt(change.changenumber, 10);
+        if (!looped || changenumber <= looped.loopedTo) {
+            // Parsed again by a later poll or pushed as well
+            return;
+        }
+        looped.loopedTo = changenumber;
+        self._countChange({
+            remote: looped,
+            change: change
+        }, 'loop');
     });
     remote.connect();
 
     this._remotes[url] = {
         url: url,
+        config: clone(opts),
         connection: remote,
-        searchnumber: 0 // Last changenumber encountered in search
+        bootstrap: !!opts.bootstrap,
+        resyncOnGap: !!opts.resyncOnGap,
+        conflictPolicy: opts.conflictPolicy || null,
+        recursiveDelete: !!opts.recursiveDelete,
+        fetchParents: !!opts.fetchParents,
+        initialized: false, // Checkpoint loaded
+        suspended: false, // Halted by an operator
+        queue: [], // Changes waiting to be applied, in changelog order
+        retryTimer: null, // Set while waiting to retry a failed change
+        // Polling pauses when queueSize changes are queued from the remote,
+        // until the queue drains down to queueLowWater
+        queueLowWater: (opts.queueLowWater !== undefined) ?
+            opts.queueLowWater : Math.floor(remote.queueSize / 2),
+        paused: false,
+        gap: null, // Missing changelog range, when detected
+        repoll: false, // A change was pushed during a poll
+        watchedTo: null, // Last change pushed with nothing missed before it
+        loopedTo: 0, // Last change counted as a loop
+        searchnumber: 0, // Last changenumber encountered in search
+        checkpointed: 0, // Changenumber stored in the checkpoint
+        scannedTime: 0, // When the scan position was last stored
+        scanWriting: false // The scan position is being stored
+    };
+    if (opts.persistentSearch) {
+        remote.on('change', this._pushChange.bind(this, this._remotes[url]));
+        // Fill in whatever was missed before the search was opened
+        remote.on('watch', this._poll.bind(this, url));
+    }
+};
+
+/**
+ * Apply a new list of remote configurations to a running replicator.
+ *
+ * Remotes missing from the list are torn down and new ones are added.  Changed
+ * queries and options are applied in place, keeping the checkpoint, while
+ * changes to connection settings reconnect the remote.  Returns the urls of
+ * the added, removed and updated remotes.
+ */
+Replicator.prototype.reload = function reload(remotes) {
+    assert.arrayOfObject(remotes, 'remotes');
+    var self = this;
+    var wanted = {};
+    var result = {
+        added: [],
+        removed: [],
+        updated: []
+    };
+
+    // Validate everything before touching the running remotes
+    remotes.forEach(function (opts) {
+        assert.string(opts.url, 'remote url');
+        assert.ok(Array.isArray(opts.queries), 'remote queries');
+        opts.queries.forEach(function (query) {
+            // Throws on an invalid query
+            assert.ok(new Query({url: opts.url, query: query}));
+        });
+        assertConflictPolicy(opts.conflictPolicy);
+        assertQueueLimits(opts);
+        wanted[opts.url] = opts;
+    });
+
+    this.remotes.forEach(function (url) {
+        var remote = self._remotes[url];
+        var opts = wanted[url];
+        if (!opts) {
+            self._teardownRemote(url);
+            result.removed.push(url);
+        } else if (connectionConfig(opts) !==
+            connectionConfig(remote.config)) {
+            self._teardownRemote(url);
+            self.addRemote(opts);
+            result.updated.push(url);
+        } else if (JSON.stringify(opts) !== JSON.stringify(remote.config)) {
+            remote.connection.setQueries(opts.queries);
+            remote.bootstrap = !!opts.bootstrap;
+            remote.resyncOnGap = !!opts.resyncOnGap;
+            remote.conflictPolicy = opts.conflictPolicy || null;
+            remote.recursiveDelete = !!opts.recursiveDelete;
+            remote.fetchParents = !!opts.fetchParents;
+            remote.connection.changelogFilter = !!opts.changelogFilter;
+            remote.config = clone(opts);
+            result.updated.push(url);
+        }
+    });
+    remotes.forEach(function (opts) {
+        if (!self._remotes[opts.url]) {
+            self.addRemote(opts);
+            result.added.push(opts.url);
+        }
+    });
+
+    this.log.info(result, 'remotes reloaded');
+    return result;
+};
+
+/**
+ * Look up the RemoteDirectory for a remote url.
+ */
+Replicator.prototype.getRemote = function getRemote(url) {
+    var remote = this._remotes[url];
+    return (remote) ? remote.connection : null;
+};
+
+/**
+ * Stop replicating from a remote UFDS instance.
+ *
+ * Options:
+ *  - drain: Apply the changes already queued from the remote before removing
+ *    it, rather than discarding them, even if it is suspended (default false)
+ *  - checkpoint: What to do with the local checkpoint record: 'keep' it
+ *    (default) or 'delete' it, along with any state stored for the remote
+ *
+ * The callback receives {url, discarded, checkpoint}, where checkpoint holds
+ * the contents of a deleted checkpoint record.
+ */
+Replicator.prototype.removeRemote = function removeRemote(url, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.string(url, 'url');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.drain, 'opts.drain');
+    assert.optionalString(opts.checkpoint, 'opts.checkpoint');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var remote = this._remotes[url];
+    var action = opts.checkpoint || 'keep';
+    if (!remote) {
+        cb(new Error(util.format('unknown remote url: %s', url)));
+        return;
+    }
+    if (['keep', 'delete'].indexOf(action) === -1) {
+        cb(new Error(util.format('invalid checkpoint action: %s', action)));
+        return;
+    }
+    var result = {
+        url: url,
+        discarded: 0,
+        checkpoint: null
     };
+
+    vasync.pipeline({
+        funcs: [
+            function drain(_, next) {
+                if (!opts.drain) {
+                    next();
+                    return;
+                }
+                self.log.info({remoteUFDS: url}, 'draining remote');
+                // Polling stops while the queued entries are applied
+                remote.drained = next;
+                self._checkDrain(remote);
+                if (remote.drained && remote.suspended) {
+                    // Nothing was applying its changes
+                    self._kickProcess();
+                }
+            },
+            function teardown(_, next) {
+                result.discarded = self._teardownRemote(url);
+                next();
+            },
+            function checkpoint(_, next) {
+                if (action === 'keep') {
+                    next();
+                    return;
+                }
+                self._checkpointRemove(remote, function (err, record) {
+                    result.checkpoint = record || null;
+                    next(err);
+                });
+            },
+            function state(_, next) {
+                var record = self._storedState(remote);
+                if (action === 'keep' || !record) {
+                    next();
+                    return;
+                }
+                self.remoteStates.remove(record.id, function (err) {
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            self.log.error({err: err, remoteUFDS: url},
+                'error removing remote');
+            cb(err);
+            return;
+        }
+        self.emit('remoteRemoved', url);
+        cb(null, result);
+    });
+};
+
+/**
+ * Stop polling and applying changes from a single remote, leaving the others
+ * running.
+ *
+ * The suspension is recorded in the state file (statePath) so it survives
+ * restarts, and is refused without one.  Changes already queued from the
+ * remote are kept for when it is resumed.
+ */
+Replicator.prototype.suspendRemote = function suspendRemote(url, cb) {
+    this._setSuspended(url, true, cb);
+};
+
+/**
+ * Resume polling and applying changes from a suspended remote.
+ */
+Replicator.prototype.resumeRemote = function resumeRemote(url, cb) {
+    this._setSuspended(url, false, cb);
+};
+
+/**
+ * Apply a dead-lettered change again, removing it from the store on success.
+ *
+ * The checkpoint is left alone since replication has already moved past the
+ * change.  The callback receives the outcome of the change.
+ */
+Replicator.prototype.replayDeadLetter = function replayDeadLetter(id, cb) {
+    var self = this;
+    var record = this.deadLetters.get(id);
+    if (!record) {
+        cb(new Error(util.format('unknown dead letter: %s', id)));
+        return;
+    }
+    this._replay(record, function (err, outcome) {
+        if (err) {
+            self.log.warn({err: err, id: record.id},
+                'dead letter replay failed');
+            cb(err);
+            return;
+        }
+        self.log.info({id: record.id, outcome: outcome},
+            'dead letter replayed');
+        self.deadLetters.remove(record.id, function (err2) {
+            cb(err2, outcome);
+        });
+    });
+};
+
+/**
+ * Drop a dead-lettered change.  The callback receives the removed record.
+ */
+Replicator.prototype.discardDeadLetter = function discardDeadLetter(id, cb) {
+    var self = this;
+    this.deadLetters.remove(id, function (err, record) {
+        if (!err && !record) {
+            err = new Error(util.format('unknown dead letter: %s', id));
+        }
+        if (!err) {
+            self.log.info({id: record.id}, 'dead letter discarded');
+        }
+        cb(err, record);
+    });
+};
+
+/**
+ * Apply the remote side of a recorded conflict over the local entry, removing
+ * the record on success.  Later changes skipped along with it are applied in
+ * turn.  The callback receives the outcome of the last change.
+ */
+Replicator.prototype.applyConflict = function applyConflict(id, cb) {
+    var self = this;
+    var record = this.conflicts.get(id);
+    if (!record) {
+        cb(new Error(util.format('unknown conflict: %s', id)));
+        return;
+    }
+    var outcome;
+    vasync.forEachPipeline({
+        inputs: [record.change].concat(record.later || []),
+        func: function (change, next) {
+            self._replay({
+                remote: record.remote,
+                change: change
+            }, function (err, result) {
+                outcome = result;
+                next(err);
+            });
+        }
+    }, function (err) {
+        if (err) {
+            self.log.warn({err: err, id: record.id},
+                'conflict apply failed');
+            cb(err);
+            return;
+        }
+        self.log.info({id: record.id, outcome: outcome}, 'conflict applied');
+        self.conflicts.remove(record.id, function (err2) {
+            cb(err2, outcome);
+        });
+    });
+};
+
+/**
+ * Drop a recorded conflict, keeping the local entry as it is.  The callback
+ * receives the removed record.
+ */
+Replicator.prototype.discardConflict = function discardConflict(id, cb) {
+    var self = this;
+    this.conflicts.remove(id, function (err, record) {
+        if (!err && !record) {
+            err = new Error(util.format('unknown conflict: %s', id));
+        }
+        if (!err) {
+            self.log.info({id: record.id}, 'conflict discarded');
+        }
+        cb(err, record);
+    });
+};
+
+/**
+ * Drop a deferred add.  The callback receives the removed record.
+ */
+Replicator.prototype.discardDeferred = function discardDeferred(id, cb) {
+    var self = this;
+    this.deferred.remove(id, function (err, record) {
+        if (!err && !record) {
+            err = new Error(util.format('unknown deferred change: %s', id));
+        }
+        if (!err) {
+            self.log.info({id: record.id}, 'deferred change discarded');
+        }
+        cb(err, record);
+    });
 };
 
 /**
@@ -111,6 +731,10 @@ Replicator.prototype.start = function start() {
     // Reuse all of the sanity checking in resume
     this._setState('wait');
     this.resume();
+
+    // Deferred adds which time out are tried a last time
+    this._deferTimer = setInterval(this._expireDeferred.bind(this),
+        Math.min(DEFER_SWEEP, this.deferTimeout));
 };
 
 /**
@@ -122,9 +746,15 @@ Replicator.prototype.suspend = function suspend(initError) {
     }
     var self = this;
 
-    // Flush the queue and disconnect from local and remote UFDS instances
+    // Flush the queues and disconnect from local and remote UFDS instances
     // This will force UFDS versions to be checked on reconnection.
-    this._queue = [];
+    this.remotes.forEach(function (url) {
+        var remote = self._remotes[url];
+        remote.queue = [];
+        self._cancelRetry(remote);
+        self._checkDrain(remote);
+        self._checkPressure(remote);
+    });
     if (this.client.connected) {
         this.client.unbind();
     }
@@ -201,14 +831,26 @@ Replicator.prototype.resume = function resume() {
     }
 
     // 4. Initialize checkpoints
+    // Each remote which was not yet connected calls back once it connects,
+    // so only the first call proceeds
+    if (this._initializing) {
+        return;
+    }
+    this._initializing = true;
     vasync.forEachParallel({
         inputs: this.remotes,
         func: function (url, cb) {
-            self._checkpointInit(self._remotes[url], cb);
+            var remote = self._remotes[url];
+            self._checkpointInit(remote, function (err) {
+                remote.initialized = !err;
+                cb(err);
+            });
         }
     }, function (err, res) {
+        self._initializing = false;
         if (err) {
             self.log.fatal('error during checkpoint init');
+            self._recordError(err);
             self.suspend(true);
         } else {
             self.log.info('initialize success');
@@ -222,6 +864,43 @@ Replicator.prototype.resume = function resume() {
     });
 };
 
+/**
+ * Report replicator state for monitoring.
+ */
+Replicator.prototype.status = function status() {
+    var self = this;
+    return {
+        state: this.state,
+        version: this.version,
+        uuid: this.uuid || null,
+        connected: !!(this.client && this.client.connected),
+        queue: this._queueLength(),
+        deadLetters: this.deadLetters.list().length,
+        conflicts: this.conflicts.list().length,
+        deferred: this.deferred.list().length,
+        lastError: this._lastError,
+        remotes: this.remotes.map(function (url) {
+            var remote = self._remotes[url];
+            return {
+                url: url,
+                uuid: remote.connection.identity.uuid || null,
+                connected: remote.connection.connected,
+                watching: remote.connection.watching,
+                version: remote.connection.version,
+                searchnumber: remote.searchnumber,
+                state: self._remoteState(remote),
+                queued: remote.queue.length,
+                paused: remote.paused,
+                checkpoint: remote.checkpoint || null,
+                caughtup: (remote.caughtup !== undefined) ?
+                    remote.caughtup : null,
+                lag: remote.lag || null,
+                gap: remote.gap
+            };
+        })
+    };
+};
+
 /**
  * Halt and destroy the replicator.
  */
@@ -287,6 +966,27 @@ Replicator.prototype._connect = function _connect() {
         res.once('error', cb);
       });
     });
+    // Query local UFDS instance uuid, so changes it originated are never
+    // replicated back to it
+    client.on('setup', function (clt, next) {
+        next = once(next);
+        clt.search(UFDS_UUID, {scope: 'base'}, function (err, res) {
+            if (err) {
+                next(err);
+                return;
+            }
+            res.on('searchEntry', function (entry) {
+                var uuid = entry.object.uuid;
+                if (uuid && self.ignoreOrigins.indexOf(uuid) === -1) {
+                    self.ignoreOrigins.push(uuid);
+                }
+                self.uuid = uuid;
+            });
+            // Older instances have no uuid
+            res.on('error', next.bind(null, null));
+            res.on('end', next.bind(null, null));
+        });
+    });
     client.on('connect', function () {
         log.info({
           bindDN: config.bindDN,
@@ -301,6 +1001,7 @@ Replicator.prototype._connect = function _connect() {
     });
     client.on('error', function (err) {
         log.warn(err, 'ldap error');
+        self._recordError(err);
     });
     client.on('close', function () {
         if (!self.destroyed) {
@@ -329,33 +1030,223 @@ Replicator.prototype._connect = function _connect() {
 };
 
 /**
- * Transition between replicator states.
+ * Register the metrics collected by the replicator.
  */
-Replicator.prototype._setState = function _setState(desired) {
+Replicator.prototype._initMetrics = function _initMetrics() {
     var self = this;
-    if (this.state === desired) {
+    this._metrics = {
+        changes: this.metrics.counter({
+            name: 'ufds_replicator_changes_total',
+            help: 'Changelog entries handled, by remote, type and outcome',
+            labels: ['remote', 'changetype', 'outcome']
+        }),
+        queue: this.metrics.gauge({
+            name: 'ufds_replicator_queue_length',
+            help: 'Changelog entries waiting to be applied',
+            collect: function (gauge) {
+                gauge.set({}, self._queueLength());
+            }
+        }),
+        deadLetters: this.metrics.gauge({
+            name: 'ufds_replicator_dead_letters',
+            help: 'Changes set aside after failing to apply',
+            collect: function (gauge) {
+                gauge.set({}, self.deadLetters.list().length);
+            }
+        }),
+        conflicts: this.metrics.gauge({
+            name: 'ufds_replicator_conflicts',
+            help: 'Conflicts recorded between remote changes and local writes',
+            collect: function (gauge) {
+                gauge.set({}, self.conflicts.list().length);
+            }
+        }),
+        descendants: this.metrics.counter({
+            name: 'ufds_replicator_descendants_deleted_total',
+            help: 'Replicated descendants deleted along with an entry, ' +
+                'by remote',
+            labels: ['remote']
+        }),
+        deferred: this.metrics.gauge({
+            name: 'ufds_replicator_deferred',
+            help: 'Adds waiting for their parent entry to exist locally',
+            collect: function (gauge) {
+                gauge.set({}, self.deferred.list().length);
+            }
+        }),
+        checkpoint: this.metrics.gauge({
+            name: 'ufds_replicator_checkpoint_changenumber',
+            help: 'Last changenumber recorded in the checkpoint, by remote',
+            labels: ['remote']
+        }),
+        pollLatency: this.metrics.histogram({
+            name: 'ufds_replicator_poll_seconds',
+            help: 'Time spent polling the remote changelog',
+            labels: ['remote']
+        }),
+        applyLatency: this.metrics.histogram({
+            name: 'ufds_replicator_apply_seconds',
+            help: 'Time spent applying a change to the local UFDS',
+            labels: ['remote', 'changetype']
+        }),
+        lagChanges: this.metrics.gauge({
+            name: 'ufds_replicator_lag_changes',
+            help: 'Remote changelog entries not yet scanned, by remote',
+            labels: ['remote']
+        }),
+        lagSeconds: this.metrics.gauge({
+            name: 'ufds_replicator_lag_seconds',
+            help: 'Age of the last scanned change while behind, by remote',
+            labels: ['remote']
+        })
+    };
+};
+
+/**
+ * Compute replication lag for a remote from its newest changenumber.
+ *
+ * Lag is measured both as the number of changes between the newest remote
+ * changenumber and the last one scanned, and as the seconds elapsed since the
+ * changetime of the last change scanned from the remote changelog.  A remote
+ * with nothing left to scan or apply has no lag in seconds.
+ */
+Replicator.prototype._updateLag = function _updateLag(url, latest) {
+    var remote = this._remotes[url];
+    if (!remote) {
         return;
     }
+    var changes = Math.max(0, latest - remote.searchnumber);
+    var pending = (remote.queue.length > 0);
+    var scanned = remote.connection.changetime;
+    var seconds = 0;
+    if ((changes > 0 || pending) && scanned) {
+        var changetime = new Date(scanned).getTime();
+        if (!isNaN(changetime)) {
+            seconds = Math.max(0, (Date.now() - changetime) / 1000);
+        }
+    }
 
-    // Define valid state transitions
-    function ok_from(choices) {
-        return (choices.indexOf(self.state) !== -1);
+    remote.lag = {
+        latest: latest,
+        changes: changes,
+        seconds: seconds
+    };
+    this._metrics.lagChanges.set({remote: url}, changes);
+    this._metrics.lagSeconds.set({remote: url}, seconds);
+    this.log.info({
+        remoteUFDS: url,
+        latest: latest,
+        searchnumber: remote.searchnumber,
+        lagChanges: changes,
+        lagSeconds: seconds
+    }, 'replication lag');
+    this.emit('lag', url, remote.lag);
+};
+
+/**
+ * Describe what a remote is doing, independently of the other remotes.
+ */
+Replicator.prototype._remoteState = function _remoteState(remote) {
+    var current = this._current;
+    if (!remote.initialized) {
+        return 'init';
+    } else if (remote.suspended) {
+        return 'suspended';
+    } else if (remote.gap) {
+        return 'gap';
+    } else if (remote.drained) {
+        return 'draining';
+    } else if (remote.retryTimer) {
+        return 'retry';
+    } else if (remote.paused) {
+        return 'paused';
+    } else if (remote.queue.length > 0 ||
+        (current && current.remote === remote)) {
+        return 'process';
     }
+    return 'poll';
+};
 
-    var valid = false;
-    var action;
-    switch (desired) {
-    case 'poll':
-        valid = ok_from(['wait', 'process']);
-        action = this._poll.bind(this);
-        break;
-    case 'process':
-        valid = ok_from(['wait', 'poll']);
-        action = this._process.bind(this);
-        break;
-    case 'destroy':
-        // always allow destroy
-        valid = true;
+/**
+ * Suspend or resume a remote, recording the change with its stored state.
+ */
+Replicator.prototype._setSuspended =
+    function _setSuspended(url, suspended, cb) {
+    var self = this;
+    var remote = this._remotes[url];
+    if (!remote) {
+        cb(new Error(util.format('unknown remote url: %s', url)));
+        return;
+    }
+    if (suspended && !this.remoteStates.path) {
+        // Kept only in memory, a suspension would be lost on restart
+        cb(new Error('suspending a remote requires statePath'));
+        return;
+    }
+
+    this._saveState(remote, {suspended: suspended}, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        remote.suspended = suspended;
+        if (suspended) {
+            self._cancelRetry(remote);
+            self.log.warn({remoteUFDS: url}, 'remote suspended');
+            self.emit('remoteSuspended', url);
+        } else {
+            self.log.info({remoteUFDS: url}, 'remote resumed');
+            self.emit('remoteResumed', url);
+            // Pick up where the remote left off
+            self._poll(url);
+            if (remote.queue.length > 0) {
+                self._kickProcess();
+            }
+        }
+        cb(null);
+    });
+};
+
+/**
+ * Remember the most recent error for status reporting.
+ */
+Replicator.prototype._recordError = function _recordError(err, url) {
+    this._lastError = {
+        name: err.name,
+        message: err.message,
+        remoteUFDS: url || null,
+        time: new Date().toISOString()
+    };
+};
+
+/**
+ * Transition between replicator states.
+ */
+Replicator.prototype._setState = function _setState(desired) {
+    var self = this;
+    if (this.state === desired) {
+        return;
+    }
+
+    // Define valid state transitions
+    function ok_from(choices) {
+        return (choices.indexOf(self.state) !== -1);
+    }
+
+    var valid = false;
+    var action;
+    switch (desired) {
+    case 'poll':
+        valid = ok_from(['wait', 'process']);
+        action = this._poll.bind(this);
+        break;
+    case 'process':
+        valid = ok_from(['wait', 'poll']);
+        action = this._process.bind(this);
+        break;
+    case 'destroy':
+        // always allow destroy
+        valid = true;
         action = this._destroy.bind(this);
         break;
     case 'wait':
@@ -386,15 +1277,26 @@ Replicator.prototype._setState = function _setState(desired) {
  * Poll remote directories for new changelog entries.
  */
 Replicator.prototype._poll = function _poll(targetRemote) {
-    if (this.state !== 'poll') {
+    if (this.state !== 'poll' && this.state !== 'process') {
         return;
     }
     var self = this;
 
     function pollRemote(url) {
         var remote = self._remotes[url];
+        if (!remote) {
+            return;
+        }
+        var room = remote.connection.queueSize - remote.queue.length;
         var startnum = remote.searchnumber + 1;
-        var endnum = startnum + PAGE_SIZE;
+        var endnum = startnum + Math.min(PAGE_SIZE, room - 1);
+        if (remote.suspended || remote.gap || remote.drained ||
+            remote.paused) {
+            // Replication from this remote is halted by an operator or until
+            // resync, it is being removed, or too many of its changes are
+            // queued
+            return;
+        }
         // Verify UFDS version are still OK
         if (self.version < remote.connection.version) {
             // If, through reconnection, the remote has jumped ahead in
@@ -402,34 +1304,96 @@ Replicator.prototype._poll = function _poll(targetRemote) {
             self.suspend(true);
             return;
         }
+        if (!remote.initialized) {
+            // Remotes added at runtime are set up once connected
+            self._initRemote(remote);
+            return;
+        }
+        self._checkpointScanned(remote);
+        if (!targetRemote && remote.connection.watching &&
+            (remote.caughtup === remote.searchnumber ||
+            remote.watchedTo === remote.searchnumber)) {
+            // New changes are pushed by the persistent search
+            return;
+        }
+        var started = Date.now();
+        var batch = [];
+
+        function proceed(last) {
+            if (self._remotes[url] !== remote) {
+                // Removed while the poll was in progress
+                return;
+            }
+            batch.forEach(self._enqueue.bind(self, url));
+            self._checkPressure(remote);
+            var repoll = remote.repoll;
+            remote.repoll = false;
+            if (last !== 0) {
+                remote.searchnumber = last;
+                // Since new records were found at this remote directory,
+                // it's reasonable to assume there could be more.
+                // Immediately poll this remote for more records
+                self._poll(remote.url);
+            } else if (repoll) {
+                // A change was pushed after this poll's search ran
+                self._poll(remote.url);
+            } else if (remote.queue.length === 0 &&
+                !(self._current && self._current.remote === remote)) {
+                // Emit caughtup when poll is empty, every change from the
+                // remote has been applied _and_ it hasn't been emitted for
+                // this searchnumber yet.
+                if (remote.caughtup !== remote.searchnumber) {
+                    remote.caughtup = remote.searchnumber;
+                    self.emit('caughtup', url, remote.searchnumber);
+                }
+            }
+        }
+
         remote.connection.poll(startnum, endnum,
-            self._enqueue.bind(self, url),
-            function (last) {
+            function (data) {
+                batch.push(data);
+            },
+            function (last, first) {
                 if (last === undefined) {
                     // remote is still in the middle of a poll
                     return;
-                } else if (last !== 0) {
-                    remote.searchnumber = last;
-                    // Since new records were found at this remote directory,
-                    // it's reasonable to assume there could be more.
-                    // Immediately poll this remote for more records
-                    self._poll(remote.url);
-                } else {
-                    // Emit caughtup when poll is empty _and_ it hasn't been
-                    // emitted for this searchnumber yet.
-                    if (remote.caughtup !== remote.searchnumber) {
-                        remote.caughtup = remote.searchnumber;
-                        self.emit('caughtup', url, remote.searchnumber);
-                    }
                 }
+                self._metrics.pollLatency.observe({remote: url},
+                    (Date.now() - started) / 1000);
+
+                // Changes missing from the start of the range, or a remote
+                // with newer changes than it returned, could mean that the
+                // changelog was trimmed past our position.
+                var suspect = (last !== 0) ?
+                    (first === 0 || first > startnum) :
+                    (remote.connection.latest > remote.searchnumber);
+                if (!suspect) {
+                    proceed(last);
+                    return;
+                }
+                self._checkGap(remote, startnum, function (err, gap) {
+                    if (err) {
+                        self.log.warn({err: err, remoteUFDS: url},
+                            'unable to check for changelog gap');
+                        // Try again on the next poll
+                        return;
+                    }
+                    if (gap) {
+                        self._handleGap(remote, gap);
+                    } else {
+                        proceed(last);
+                    }
+                });
             });
     }
 
-    // Indicate that polling has begun.
+    // Indicate that polling has begun with every queue processed.
     // Since 'caughtup' event only signifies that the replicator has fetched
     // all clog entries from a remote system, an additional event is needed to
     // communicated that the queue of changes has been processed.
-    this.emit('poll');
+    if (this.state === 'poll') {
+        this.emit('poll');
+    }
 
     if (targetRemote) {
         pollRemote(targetRemote);
@@ -445,6 +1409,299 @@ Replicator.prototype._poll = function _poll(targetRemote) {
     }
 };
 
+/**
+ * Handle a change pushed by a remote's persistent search.
+ *
+ * A change directly following the last one seen is queued on the spot.
+ * Otherwise the remote is polled from its last changenumber, which also
+ * covers remotes that are not ready for more changes.
+ */
+Replicator.prototype._pushChange = function _pushChange(remote, data) {
+    if (this._remotes[remote.url] !== remote ||
+        (this.state !== 'poll' && this.state !== 'process')) {
+        return;
+    }
+    var changenumber = parseInt(data.changenumber, 10);
+    if (changenumber <= remote.searchnumber) {
+        // Already found by a poll
+        return;
+    }
+    if (remote.connection.polling) {
+        remote.repoll = true;
+        return;
+    }
+    if (changenumber !== remote.searchnumber + 1 || !remote.initialized ||
+        remote.suspended || remote.gap || remote.drained || remote.paused) {
+        this._poll(remote.url);
+        return;
+    }
+    this.log.debug({
+        remoteUFDS: remote.url,
+        changenumber: changenumber
+    }, 'change pushed');
+    if (remote.caughtup === remote.searchnumber ||
+        remote.watchedTo === remote.searchnumber) {
+        // Still nothing to poll for
+        remote.watchedTo = changenumber;
+    }
+    remote.searchnumber = changenumber;
+    if (data.queries.length > 0) {
+        this._enqueue(remote.url, data);
+        this._checkPressure(remote);
+    }
+};
+
+/**
+ * Determine if changes after a given changenumber have been trimmed from the
+ * remote changelog.
+ *
+ * The callback receives the missing range, or null if there is none.  Holes in
+ * the middle of the changelog are not considered a gap since those numbers
+ * were never assigned to a change.
+ */
+Replicator.prototype._checkGap = function _checkGap(remote, start, cb) {
+    remote.connection.oldestChangenumber(function (err, oldest) {
+        if (err) {
+            cb(err);
+        } else if (oldest > start) {
+            cb(null, {start: start, end: oldest - 1});
+        } else {
+            cb(null, null);
+        }
+    });
+};
+
+/**
+ * Halt replication from a remote whose changelog no longer holds the changes
+ * needed to continue, resyncing it if configured to do so.
+ *
+ * The gap is stored so that the remote stays halted across restarts.
+ */
+Replicator.prototype._handleGap = function _handleGap(remote, gap) {
+    var self = this;
+    remote.gap = gap;
+    this.log.error({
+        remoteUFDS: remote.url,
+        searchnumber: remote.searchnumber,
+        gap: gap
+    }, 'changelog gap detected, replication from remote suspended');
+    this.emit('gap', remote.url, gap);
+    this._saveState(remote, {gap: gap}, function (err) {
+        if (err) {
+            self.log.warn({err: err, remoteUFDS: remote.url},
+                'unable to store changelog gap');
+        }
+    });
+
+    if (remote.resyncOnGap) {
+        this._resync(remote);
+    }
+};
+
+/**
+ * Copy the entries matching a remote's queries again and delete the local
+ * ones the remote no longer has, then resume replication from the remote.
+ */
+Replicator.prototype._resync = function _resync(remote) {
+    if (remote.resyncing) {
+        return;
+    }
+    var self = this;
+    remote.resyncing = true;
+    // The full copy supersedes anything still queued from this remote
+    remote.queue = [];
+    this._cancelRetry(remote);
+    this._checkPressure(remote);
+
+    vasync.pipeline({
+        funcs: [
+            function copy(_, next) {
+                self._bootstrap(remote, next);
+            },
+            function prune(_, next) {
+                self._pruneLocal(remote, next);
+            },
+            function clear(_, next) {
+                self._saveState(remote, {gap: null}, next);
+            }
+        ]
+    }, function (err) {
+        remote.resyncing = false;
+        if (self._remotes[remote.url] !== remote) {
+            // Removed while the resync was in progress
+            return;
+        }
+        if (err) {
+            // Leave the remote halted; an operator must intervene
+            self.log.error({err: err, remoteUFDS: remote.url},
+                'resync failed');
+            self._recordError(err, remote.url);
+            return;
+        }
+        remote.gap = null;
+        self.log.info({remoteUFDS: remote.url}, 'resync complete');
+        self.emit('resync', remote.url, remote.searchnumber);
+        if (self.state === 'poll') {
+            self._poll(remote.url);
+        }
+    });
+};
+
+/**
+ * Delete the local entries selected by a remote's queries which don't exist
+ * on the remote, as found by an audit.
+ */
+Replicator.prototype._pruneLocal = function _pruneLocal(remote, cb) {
+    var log = this.log.child({remoteUFDS: remote.url, op: 'resync'});
+    var auditor = new Auditor({
+        log: log,
+        client: this.client,
+        remote: remote.connection
+    });
+    auditor.audit(function (err, report) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        auditor.removeExtra(report, function (err2, deleted) {
+            if (!err2) {
+                log.info({deleted: deleted},
+                    'removed entries missing from remote');
+            }
+            cb(err2);
+        });
+    });
+};
+
+/**
+ * Find the stored state record of a remote, if any.
+ */
+Replicator.prototype._storedState = function _storedState(remote) {
+    var records = this.remoteStates.list();
+    for (var i = 0; i < records.length; i++) {
+        if (records[i].remote === remote.url) {
+            return records[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Store some fields of a remote's state, creating its record if needed.
+ */
+Replicator.prototype._saveState = function _saveState(remote, fields, cb) {
+    var record = this._storedState(remote);
+    if (record) {
+        this.remoteStates.update(record.id, fields, cb);
+        return;
+    }
+    record = clone(fields);
+    record.remote = remote.url;
+    this.remoteStates.add(record, cb);
+};
+
+/**
+ * Halt a remote again if a changelog gap was stored for it, unless its
+ * checkpoint has been moved past the gap since.  A resync interrupted by a
+ * restart starts over.
+ */
+Replicator.prototype._restoreGap = function _restoreGap(remote) {
+    var self = this;
+    var state = this._storedState(remote);
+    if (!state || !state.gap) {
+        return;
+    }
+    if (remote.searchnumber >= state.gap.end) {
+        this.log.info({remoteUFDS: remote.url, gap: state.gap},
+            'checkpoint moved past stored changelog gap');
+        this._saveState(remote, {gap: null}, function (err) {
+            if (err) {
+                self.log.warn({err: err, remoteUFDS: remote.url},
+                    'unable to clear changelog gap');
+            }
+        });
+        return;
+    }
+    remote.gap = state.gap;
+    this.log.error({remoteUFDS: remote.url, gap: state.gap},
+        'changelog gap stored, replication from remote suspended');
+    if (remote.resyncOnGap) {
+        this._resync(remote);
+    }
+};
+
+/**
+ * Load the checkpoint of a remote added while replication is running.
+ *
+ * Failures are retried on the next poll.
+ */
+Replicator.prototype._initRemote = function _initRemote(remote) {
+    if (remote.initializing || !remote.connection.connected) {
+        return;
+    }
+    var self = this;
+    remote.initializing = true;
+    this._checkpointInit(remote, function (err) {
+        remote.initializing = false;
+        if (self._remotes[remote.url] !== remote) {
+            return;
+        }
+        if (err) {
+            self.log.error({err: err, remoteUFDS: remote.url},
+                'error during checkpoint init');
+            self._recordError(err, remote.url);
+            return;
+        }
+        remote.initialized = true;
+        self.log.info({remoteUFDS: remote.url}, 'remote initialized');
+        if (self.state === 'poll') {
+            self._poll(remote.url);
+        }
+    });
+};
+
+/**
+ * Stop replicating from a remote, dropping any of its queued changes.
+ *
+ * The checkpoint record is left in place.  Returns the number of changes
+ * dropped.
+ */
+Replicator.prototype._teardownRemote = function _teardownRemote(url) {
+    var remote = this._remotes[url];
+    var discarded = remote.queue.length;
+    delete this._remotes[url];
+    remote.queue = [];
+    this._cancelRetry(remote);
+    remote.connection.removeAllListeners('latest');
+    remote.connection.removeAllListeners('change');
+    remote.connection.removeAllListeners('watch');
+    remote.connection.removeAllListeners('looped');
+    remote.connection.destroy();
+    this._metrics.checkpoint.remove({remote: url});
+    this._metrics.lagChanges.remove({remote: url});
+    this._metrics.lagSeconds.remove({remote: url});
+    this.log.info({remoteUFDS: url}, 'remote torn down');
+    return (discarded);
+};
+
+/**
+ * Complete the drain of a remote being removed once none of its changes are
+ * queued or being applied.
+ */
+Replicator.prototype._checkDrain = function _checkDrain(remote) {
+    if (!remote || !remote.drained) {
+        return;
+    }
+    var current = this._current;
+    var pending = (current && current.remote === remote) ||
+        remote.queue.length > 0;
+    if (!pending) {
+        var cb = remote.drained;
+        remote.drained = null;
+        cb();
+    }
+};
+
 /**
  * Shutdown and destroy the replicator.
  */
@@ -454,110 +1711,974 @@ Replicator.prototype._destroy = function _destroy() {
         clearTimeout(this._timer);
         this._timer = null;
     }
+    if (this._deferTimer) {
+        clearInterval(this._deferTimer);
+        this._deferTimer = null;
+    }
     this.destroyed = true;
     this.client.destroy();
     this.remotes.forEach(function (url) {
+        self._cancelRetry(self._remotes[url]);
         self._remotes[url].connection.destroy();
     });
     this.emit('destroy');
     this.log.info('destroyed replicator');
 };
 
+/**
+ * Count the changes queued from all remotes.
+ */
+Replicator.prototype._queueLength = function _queueLength() {
+    var self = this;
+    var count = 0;
+    this.remotes.forEach(function (url) {
+        count += self._remotes[url].queue.length;
+    });
+    return count;
+};
+
+/**
+ * Pause polling of a remote once its queued changes reach the high-water
+ * mark, and resume it after they drain down to the low-water mark.
+ */
+Replicator.prototype._checkPressure = function _checkPressure(remote) {
+    var queued = remote.queue.length;
+    var info = {
+        remoteUFDS: remote.url,
+        queued: queued,
+        queueSize: remote.connection.queueSize,
+        queueLowWater: remote.queueLowWater
+    };
+    if (!remote.paused && queued >= remote.connection.queueSize) {
+        remote.paused = true;
+        this.log.warn(info, 'queue high-water mark reached, polling paused');
+        this.emit('queuePressure', remote.url, queued);
+    } else if (remote.paused && queued <= remote.queueLowWater) {
+        remote.paused = false;
+        this.log.info(info, 'queue drained, polling resumed');
+        this.emit('queueDrained', remote.url, queued);
+        // Polls are made while changes are being applied, too
+        this._poll(remote.url);
+    }
+};
+
+/**
+ * Start applying queued changes again, if replication is running.
+ */
+Replicator.prototype._kickProcess = function _kickProcess() {
+    if (this.state === 'poll') {
+        this._setState('process');
+    } else if (this.state === 'process' && !this._current) {
+        process.nextTick(this._process.bind(this));
+    }
+};
+
 /**
  * Record a changelog entry into the queue.
  */
 Replicator.prototype._enqueue = function _enqueue(url, result) {
-    this._queue.push({
-        remote: this._remotes[url],
+    var remote = this._remotes[url];
+    remote.queue.push({
+        remote: remote,
         change: result
     });
-    if (this.state === 'poll') {
-        // Begin processing entries if needed
-        this._setState('process');
+    // Begin processing entries if needed.  In the process state, the other
+    // queues may all be waiting on a retry
+    this._kickProcess();
+};
+
+/**
+ * Pick the remote whose queued change should be applied next.
+ *
+ * Remotes take turns in round-robin order, so one with a long backlog
+ * doesn't hold up the others.  Remotes waiting to retry a change, or to store
+ * their scanned changenumber, are skipped.
+ */
+Replicator.prototype._nextRemote = function _nextRemote() {
+    var urls = this.remotes;
+    var start = urls.indexOf(this._lastServed);
+    for (var i = 1; i <= urls.length; i++) {
+        var remote = this._remotes[urls[(start + i) % urls.length]];
+        // A suspended remote being removed still drains its queue.  Changes
+        // wait for a scanned changenumber being stored, which could
+        // otherwise overwrite their own checkpoint updates
+        if (remote.queue.length > 0 && !remote.retryTimer &&
+            !remote.scanWriting && (!remote.suspended || remote.drained)) {
+            return remote;
+        }
+    }
+    return null;
+};
+
+/**
+ * Wait before retrying the change at the head of a remote's queue.
+ *
+ * The delay doubles with each attempt.  Other remotes continue meanwhile.
+ */
+Replicator.prototype._scheduleRetry = function _scheduleRetry(remote, entry) {
+    var self = this;
+    var delay = this.retryDelay * Math.pow(2, entry.attempts.length - 1);
+    this.log.info({
+        remoteUFDS: remote.url,
+        changenumber: entry.change.changenumber,
+        delay: delay
+    }, 'retrying change');
+    remote.retryTimer = setTimeout(function () {
+        remote.retryTimer = null;
+        self._process();
+    }, delay);
+};
+
+/**
+ * Stop waiting to retry a change from a remote.
+ */
+Replicator.prototype._cancelRetry = function _cancelRetry(remote) {
+    if (remote.retryTimer) {
+        clearTimeout(remote.retryTimer);
+        remote.retryTimer = null;
     }
 };
 
 /**
- * Process a queued changelog entry.
+ * Apply the next queued changelog entry.
+ *
+ * One change is applied at a time, preserving changelog order within each
+ * remote.
  */
 Replicator.prototype._process = function _process() {
-    if (this.state !== 'process') {
+    if (this.state !== 'process' || this._current) {
         return;
     }
     var self = this;
-    var entry = this._queue.shift();
+    var remote = this._nextRemote();
+    if (!remote) {
+        // Remotes waiting to retry a change will call back, while the queues
+        // of suspended remotes are left until they resume
+        var retrying = this.remotes.some(function (url) {
+            return (self._remotes[url].retryTimer !== null);
+        });
+        if (!retrying) {
+            this._setState('poll');
+        }
+        return;
+    }
+    var entry = remote.queue.shift();
+    var started = Date.now();
+    this._current = entry;
+    this._lastServed = remote.url;
+    this._checkPressure(remote);
+    var changetype = entry.change.changetype;
+    var labels = {
+        remote: entry.remote.url,
+        changetype: changetype
+    };
 
-    var done = once(function (err) {
-        if (err) {
-            self.log.warn({err: err}, 'error during change');
-            // Retry a finite amount of times.
-            // This should prevent transient connectivity errors from ruining
-            // real changes while other unanticipated problems will cause the
-            // replicator to bail out.
-            entry.retry = (entry.retry) ? (entry.retry + 1) : 1;
-            if (entry.retry >= RETRY_MAX) {
-                self.log.fatal({entry: entry, err: err},
-                    'max retries reach on entry');
-                self.emit('error', err);
-            } else {
-                self._queue.unshift(entry);
+    function next() {
+        self._current = null;
+        self._checkDrain(remote);
+        if (self._remotes[remote.url] === remote &&
+            remote.queue.length === 0) {
+            // Look for more changes, or report the remote caught up
+            self._poll(remote.url);
+        }
+        process.nextTick(self._process.bind(self));
+    }
+
+    var done = once(function (err, outcome) {
+        self._metrics.applyLatency.observe(labels,
+            (Date.now() - started) / 1000);
+        if (!err) {
+            self._countChange(entry, outcome);
+            if (UNWRITTEN.indexOf(outcome) === -1) {
+                // Successful writes carry the checkpoint update control, and
+                // deferring a change writes the checkpoint itself
+                self._checkpointed(entry.remote,
+                    parseInt(entry.change.changenumber, 10));
+            }
+            if (CREATED.indexOf(outcome) !== -1) {
+                // Apply the adds which were waiting for this entry first
+                self._releaseDeferred(createdDN(entry), next);
+                return;
             }
+            next();
+            return;
         }
-        if (self._queue.length !== 0) {
-            process.nextTick(self._process.bind(self));
+
+        self.log.warn({err: err}, 'error during change');
+        self._recordError(err, entry.remote.url);
+        // Retry a finite amount of times.
+        // This should prevent transient connectivity errors from ruining
+        // real changes while changes which can't be applied are set aside
+        // in the dead-letter store.
+        entry.attempts = entry.attempts || [];
+        entry.attempts.push({
+            time: new Date().toISOString(),
+            error: {
+                name: err.name,
+                message: err.message
+            }
+        });
+        if (self._remotes[remote.url] !== remote) {
+            self.log.info({entry: entry}, 'remote removed, not retrying');
+            next();
+        } else if (entry.attempts.length >= RETRY_MAX &&
+            !self.deadLetters.path) {
+            // Without a dead-letter file the change would be lost on
+            // restart, so the checkpoint stays put and the replicator bails
+            self._countChange(entry, 'fail');
+            self.log.fatal({entry: entry, err: err},
+                'max retries reached on entry, no deadLetterPath set');
+            self.emit('error', err);
+        } else if (entry.attempts.length >= RETRY_MAX) {
+            self._countChange(entry, 'fail');
+            self._deadLetter(entry, err, function (err2) {
+                if (err2) {
+                    self.log.fatal({entry: entry, err: err2},
+                        'unable to dead-letter entry');
+                    self.emit('error', err2);
+                    return;
+                }
+                next();
+            });
         } else {
-            self._setState('poll');
+            self._countChange(entry, 'retry');
+            remote.queue.unshift(entry);
+            self._scheduleRetry(remote, entry);
+            next();
         }
     });
 
-    entry.controls = [];
+    entry.controls = this._changeControls(entry, true);
+    this._apply(entry, done);
+};
+
+/**
+ * Build the controls sent along with the writes for a changelog entry.
+ *
+ * Writes are tagged with the source UFDS and changenumber, if possible, and
+ * optionally move the checkpoint to the changenumber on success.
+ */
+Replicator.prototype._changeControls =
+    function _changeControls(entry, checkpoint) {
+    var ctrls = [];
+    var changenumber = parseInt(entry.change.changenumber, 10);
     var ident = entry.remote.connection.identity;
     if (ident.uuid) {
-        // Tag clog entries with the source ufds/changenumber, if possible
-        var clogHint = new controls.ChangelogHintRequestControl({
+        // The hint extends the path the change took to reach the remote
+        ctrls.push(new controls.ChangelogHintRequestControl({
             value: {
-                uuid: ident.uuid,
-                changenumber: parseInt(entry.change.changenumber, 10)
+                uuid: RemoteDirectory.hintPath(entry.change.origin,
+                    ident.uuid),
+                changenumber: changenumber
+            }
+        }));
+    }
+    if (checkpoint) {
+        ctrls.push(new controls.CheckpointUpdateRequestControl({
+            value: {
+                dn: entry.remote.checkpoint,
+                changenumber: changenumber
+            }
+        }));
+    }
+    return ctrls;
+};
+
+/**
+ * Apply a changelog entry to the local UFDS.
+ */
+Replicator.prototype._apply = function _apply(entry, cb) {
+    var self = this;
+    var apply;
+    switch (entry.change.changetype) {
+    case 'add':
+        this._processAdd(entry, cb);
+        return;
+    case 'modify':
+        apply = this._processModify;
+        break;
+    case 'delete':
+        apply = this._processDel;
+        break;
+    case 'modrdn':
+    case 'moddn':
+        apply = this._processRename;
+        break;
+    default:
+        cb(new Error('invalid changetype:' + entry.change.changetype));
+        return;
+    }
+    this._supersedeDeferred(entry, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        apply.call(self, entry, cb);
+    });
+};
+
+/**
+ * Set aside a changelog entry which could not be applied.
+ *
+ * The entry is recorded in the dead-letter file and the checkpoint is moved
+ * past it so replication from the remote can continue.  Only used when
+ * deadLetterPath is set.
+ */
+Replicator.prototype._deadLetter = function _deadLetter(entry, err, cb) {
+    var self = this;
+    var remote = entry.remote;
+    var change = entry.change;
+    var changenumber = parseInt(change.changenumber, 10);
+    var record = {
+        remote: remote.url,
+        uuid: remote.connection.identity.uuid || null,
+        changenumber: changenumber,
+        changetype: change.changetype,
+        targetdn: change.targetdn.toString(),
+        error: {
+            name: err.name,
+            message: err.message
+        },
+        attempts: entry.attempts,
+        change: storedChange(change)
+    };
+
+    this.deadLetters.add(record, function (err2) {
+        if (err2) {
+            cb(err2);
+            return;
+        }
+        self.log.error({
+            id: record.id,
+            remoteUFDS: remote.url,
+            changenumber: changenumber,
+            targetdn: record.targetdn,
+            err: err
+        }, 'change dead-lettered');
+        self.emit('deadLetter', record);
+        self._checkpointWrite(remote, changenumber, cb);
+    });
+};
+
+/**
+ * Rebuild a stored change and apply it again.
+ *
+ * Conflicts are not checked, and the checkpoint is left alone since
+ * replication has already moved past the change.  The callback receives the
+ * outcome of the change.
+ */
+Replicator.prototype._replay = function _replay(record, cb) {
+    var self = this;
+    var remote = this._remotes[record.remote];
+    if (!remote) {
+        cb(new Error(util.format('unknown remote url: %s', record.remote)));
+        return;
+    }
+
+    var change = clone(record.change);
+    change.targetdn = ldap.parseDN(change.targetdn);
+    if (change.newdn) {
+        change.newdn = ldap.parseDN(change.newdn);
+    }
+    change.queries = remote.connection._matchQueries(change);
+    var entry = {
+        remote: remote,
+        change: change,
+        force: true
+    };
+
+    if (change.queries.length === 0) {
+        // The queries have changed since; the change no longer applies
+        this._countChange(entry, 'ignore');
+        cb(null, 'ignore');
+        return;
+    }
+    entry.controls = this._changeControls(entry, false);
+    this._apply(entry, function (err, outcome) {
+        if (!err) {
+            self._countChange(entry, outcome);
+        }
+        cb(err, outcome);
+    });
+};
+
+/**
+ * Add an entry fetched from the remote on behalf of a change, as if it had
+ * just been added there.  The callback receives the outcome of the add.
+ */
+Replicator.prototype._addFetched =
+    function _addFetched(entry, dn, query, obj, cb) {
+    var change = entry.change;
+    this._processAdd({
+        remote: entry.remote,
+        change: {
+            changenumber: change.changenumber,
+            changetype: 'add',
+            changetime: change.changetime,
+            targetdn: dn,
+            changes: obj,
+            queries: [query]
+        },
+        controls: entry.controls,
+        force: entry.force
+    }, cb);
+};
+
+/**
+ * Handle an add whose parent entry doesn't exist locally.
+ *
+ * With fetchParents set, a parent matching the remote's queries is fetched
+ * and added first.  Otherwise the add is deferred until the parent arrives.
+ * Replayed changes and fetched parents are never deferred, nor is anything
+ * without deferredPath set, and fail with the original error instead.
+ */
+Replicator.prototype._missingParent =
+    function _missingParent(entry, dn, err, cb) {
+    var self = this;
+    var remote = entry.remote;
+    var conn = remote.connection;
+    var parent = entry.change.targetdn.parent();
+
+    // Without a deferred file the add would be lost on restart, once the
+    // checkpoint has moved past it
+    function defer() {
+        if (entry.force || entry.fetched || !self.deferred.path) {
+            cb(err);
+        } else {
+            self._defer(entry, ldap.parseDN(dn).parent().toString(), cb);
+        }
+    }
+
+    if (!remote.fetchParents || entry.parentFetched || !parent) {
+        defer();
+        return;
+    }
+    entry.parentFetched = true;
+    conn.get(parent, function (err2, obj) {
+        if (err2) {
+            cb(err2);
+            return;
+        }
+        var query = null;
+        for (var i = 0; obj !== null && i < conn.queries.length; i++) {
+            if (conn.queries[i].matches(parent, obj)) {
+                query = conn.queries[i];
+                break;
+            }
+        }
+        if (!query) {
+            defer();
+            return;
+        }
+        // The parent is written without moving the checkpoint, since the
+        // change itself has yet to be applied
+        self._processAdd({
+            remote: remote,
+            change: {
+                changenumber: entry.change.changenumber,
+                changetype: 'add',
+                changetime: entry.change.changetime,
+                targetdn: parent,
+                changes: obj,
+                queries: [query]
+            },
+            controls: self._changeControls(entry, false),
+            force: entry.force,
+            fetched: true
+        }, function (err3, outcome) {
+            if (err3 && err3.name === 'NoSuchObjectError') {
+                defer();
+            } else if (err3) {
+                cb(err3);
+            } else if (CREATED.indexOf(outcome) !== -1) {
+                self.log.info({
+                    dn: conn.localDN(parent),
+                    remoteUFDS: remote.url,
+                    changenumber: entry.change.changenumber
+                }, 'added missing parent from remote');
+                self._processAdd(entry, cb);
+            } else {
+                defer();
             }
         });
-        entry.controls.push(clogHint);
+    });
+};
+
+/**
+ * Park an add until its parent exists locally.
+ *
+ * The change is kept in the deferred store and the checkpoint is moved past
+ * it, as for dead letters.  It is applied again once the parent exists, or a
+ * last time when deferTimeout expires before being dead-lettered.  Later
+ * changes to the same entry supersede it.
+ */
+Replicator.prototype._defer = function _defer(entry, parent, cb) {
+    var self = this;
+    var remote = entry.remote;
+    var change = entry.change;
+    var changenumber = parseInt(change.changenumber, 10);
+    var record = {
+        remote: remote.url,
+        uuid: remote.connection.identity.uuid || null,
+        changenumber: changenumber,
+        changetype: change.changetype,
+        targetdn: change.targetdn.toString(),
+        parent: parent,
+        expires: new Date(Date.now() + this.deferTimeout).toISOString(),
+        change: storedChange(change)
+    };
+
+    this.deferred.add(record, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        self.log.info({
+            id: record.id,
+            remoteUFDS: remote.url,
+            changenumber: changenumber,
+            targetdn: record.targetdn,
+            parent: parent
+        }, 'change deferred until its parent exists');
+        self.emit('defer', record);
+        self._checkpointWrite(remote, changenumber, function (err2) {
+            cb(err2, 'defer');
+        });
+    });
+};
+
+/**
+ * Drop the deferred adds of the entry a change from the same remote targets.
+ *
+ * Released after the change, such an add would bring back a deleted entry
+ * or overwrite newer state.  The change itself fetches the current remote
+ * entry when it needs one.
+ */
+Replicator.prototype._supersedeDeferred =
+    function _supersedeDeferred(entry, cb) {
+    var self = this;
+    var change = entry.change;
+    var stale = this.deferred.list().filter(function (record) {
+        return (record.remote === entry.remote.url &&
+            sameDN(record.targetdn, change.targetdn));
+    });
+
+    vasync.forEachPipeline({
+        inputs: stale,
+        func: function (record, next) {
+            self.log.info({
+                id: record.id,
+                changenumber: change.changenumber,
+                changetype: change.changetype
+            }, 'deferred change superseded');
+            self.deferred.remove(record.id, function (err) {
+                next(err);
+            });
+        }
+    }, function (err) {
+        cb(err);
+    });
+};
+
+/**
+ * Apply the deferred adds waiting for an entry which now exists locally.
+ *
+ * Each add that succeeds is removed from the store, and releases the adds
+ * waiting for it in turn.  Adds which still fail stay deferred.
+ */
+Replicator.prototype._releaseDeferred = function _releaseDeferred(dn, cb) {
+    var self = this;
+    var parent = ldap.parseDN(dn);
+    var waiting = this.deferred.list().filter(function (record) {
+        return parent.equals(record.parent);
+    });
+
+    vasync.forEachPipeline({
+        inputs: waiting,
+        func: function (record, next) {
+            self._replay(record, function (err, outcome) {
+                if (err) {
+                    self.log.warn({err: err, id: record.id},
+                        'deferred change failed');
+                    next();
+                    return;
+                }
+                self.log.info({id: record.id, outcome: outcome},
+                    'deferred change applied');
+                self.deferred.remove(record.id, function (err2) {
+                    if (err2 || CREATED.indexOf(outcome) === -1) {
+                        next(err2);
+                        return;
+                    }
+                    var change = record.change;
+                    self._releaseDeferred(self._remotes[record.remote]
+                        .connection.localDN(change.newdn || change.targetdn),
+                        next);
+                });
+            });
+        }
+    }, function (err) {
+        if (err) {
+            self.log.error({err: err}, 'unable to update deferred changes');
+        }
+        cb();
+    });
+};
+
+/**
+ * Release the deferred adds whose parent has been created locally by
+ * anything other than the replicator, then try those which have timed out a
+ * last time, dead-lettering those which still fail.
+ */
+Replicator.prototype._expireDeferred = function _expireDeferred() {
+    if ((this.state !== 'poll' && this.state !== 'process') ||
+        this._expiring || this.deferred.list().length === 0) {
+        return;
     }
+    var self = this;
+    var parents = [];
+    this.deferred.list().forEach(function (record) {
+        if (parents.indexOf(record.parent) === -1) {
+            parents.push(record.parent);
+        }
+    });
 
-    // Update the checkpoint on successful action
-    var checkpointUpdate = new controls.CheckpointUpdateRequestControl({
-        value: {
-            dn: entry.remote.checkpoint,
-            changenumber: parseInt(entry.change.changenumber, 10)
+    this._expiring = true;
+    vasync.forEachPipeline({
+        inputs: parents,
+        func: function (parent, next) {
+            self._localExists(parent, function (err, exists) {
+                if (err || !exists) {
+                    next(err);
+                    return;
+                }
+                self._releaseDeferred(parent, next);
+            });
+        }
+    }, function (err) {
+        if (err) {
+            self.log.warn({err: err}, 'unable to look up deferred parents');
         }
+        self._expireRecords();
     });
-    entry.controls.push(checkpointUpdate);
+};
 
-    switch (entry.change.changetype) {
-        case 'add':
-            this._processAdd(entry, done);
-            break;
-        case 'modify':
-            this._processModify(entry, done);
-            break;
-        case 'delete':
-            this._processDel(entry, done);
-            break;
-        default:
-            this.emit('error', new Error('invalid changetype:' +
-                        entry.change.changetype));
-            break;
+/**
+ * Try the deferred adds which have timed out a last time, dead-lettering
+ * those which still fail.
+ */
+Replicator.prototype._expireRecords = function _expireRecords() {
+    var self = this;
+    var now = Date.now();
+    var expired = this.deferred.list().filter(function (record) {
+        return (Date.parse(record.expires) <= now);
+    });
+
+    vasync.forEachPipeline({
+        inputs: expired,
+        func: function (record, next) {
+            if (!self._remotes[record.remote]) {
+                // Wait for the remote to come back, or for a discard
+                next();
+                return;
+            }
+            self._replay(record, function (err, outcome) {
+                if (!err) {
+                    self.log.info({id: record.id, outcome: outcome},
+                        'deferred change applied');
+                    self.deferred.remove(record.id, function (err2) {
+                        next(err2);
+                    });
+                    return;
+                }
+                self._countChange({
+                    remote: self._remotes[record.remote],
+                    change: record.change
+                }, 'fail');
+                self._expireRecord(record, err, next);
+            });
+        }
+    }, function (err) {
+        self._expiring = false;
+        if (err) {
+            self.log.error({err: err}, 'unable to update deferred changes');
+        }
+    });
+};
+
+/**
+ * Test if an entry exists locally.
+ */
+Replicator.prototype._localExists = function _localExists(dn, cb) {
+    cb = once(cb);
+    this.client.search(dn, {scope: 'base'}, function (err, res) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var found = false;
+        res.once('searchEntry', function () {
+            found = true;
+        });
+        res.once('end', function () {
+            cb(null, found);
+        });
+        res.once('error', function (err2) {
+            if (err2.name === 'NoSuchObjectError') {
+                cb(null, false);
+            } else {
+                cb(err2);
+            }
+        });
+    });
+};
+
+/**
+ * Move a timed out deferred add to the dead-letter store.
+ */
+Replicator.prototype._expireRecord = function _expireRecord(record, err, cb) {
+    var self = this;
+    var letter = {
+        remote: record.remote,
+        uuid: record.uuid,
+        changenumber: record.changenumber,
+        changetype: record.changetype,
+        targetdn: record.targetdn,
+        error: {
+            name: err.name,
+            message: err.message
+        },
+        attempts: [ {
+            time: new Date().toISOString(),
+            error: {
+                name: err.name,
+                message: err.message
+            }
+        } ],
+        change: record.change
+    };
+
+    this.deadLetters.add(letter, function (err2) {
+        if (err2) {
+            cb(err2);
+            return;
+        }
+        self.log.error({
+            id: letter.id,
+            deferred: record.id,
+            remoteUFDS: record.remote,
+            changenumber: record.changenumber,
+            targetdn: record.targetdn,
+            err: err
+        }, 'deferred change timed out, dead-lettered');
+        self.emit('deadLetter', letter);
+        self.deferred.remove(record.id, function (err3) {
+            cb(err3);
+        });
+    });
+};
+
+/**
+ * Check a change against writes to the local entry made by anything other
+ * than its remote, applying the remote's conflict policy.
+ *
+ * Detected conflicts are recorded in the conflict store.  A change skipped for
+ * the same local write as an earlier recorded one is added to that record
+ * instead, until it holds LATER_MAX of them.  The callback receives whether
+ * the change should be applied.
+ */
+Replicator.prototype._resolveConflict =
+    function _resolveConflict(entry, dn, cb) {
+    var self = this;
+    var remote = entry.remote;
+    var policy = remote.conflictPolicy;
+    if (!policy || entry.force) {
+        cb(null, true);
+        return;
     }
+
+    this._localOrigin(entry, dn, function (err, local) {
+        if (err || !local) {
+            cb(err, true);
+            return;
+        }
+        var change = entry.change;
+        var apply = false;
+        if (policy === 'remote-wins') {
+            apply = true;
+        } else if (policy === 'newest-changetime-wins') {
+            apply = (Date.parse(change.changetime) >=
+                Date.parse(local.changetime));
+        }
+        var resolution = 'local';
+        if (apply) {
+            resolution = 'remote';
+        } else if (policy === 'record-and-skip') {
+            resolution = 'pending';
+        }
+
+        var earlier = (apply) ? null : self._skippedConflict(entry, dn, local);
+        if (earlier) {
+            var later = (earlier.later || []).concat([storedChange(change)]);
+            self.conflicts.update(earlier.id, {later: later}, function (err2) {
+                if (!err2) {
+                    self.log.debug({
+                        id: earlier.id,
+                        changenumber: change.changenumber,
+                        dn: dn
+                    }, 'change skipped for recorded conflict');
+                }
+                cb(err2, false);
+            });
+            return;
+        }
+
+        var record = {
+            remote: remote.url,
+            uuid: remote.connection.identity.uuid || null,
+            changenumber: parseInt(change.changenumber, 10),
+            changetype: change.changetype,
+            targetdn: change.targetdn.toString(),
+            dn: dn,
+            policy: policy,
+            resolution: resolution,
+            local: local,
+            change: storedChange(change)
+        };
+        self.conflicts.add(record, function (err2) {
+            if (err2) {
+                cb(err2);
+                return;
+            }
+            self.log.warn({
+                id: record.id,
+                remoteUFDS: remote.url,
+                changenumber: record.changenumber,
+                dn: dn,
+                resolution: resolution
+            }, 'conflict detected');
+            self.emit('conflict', record);
+            cb(null, apply);
+        });
+    });
+};
+
+/**
+ * Find a recorded conflict whose change was skipped for the same local write
+ * to a DN, and which has room for more skipped changes.
+ */
+Replicator.prototype._skippedConflict =
+    function _skippedConflict(entry, dn, local) {
+    var target = ldap.parseDN(dn);
+    var records = this.conflicts.list();
+    for (var i = 0; i < records.length; i++) {
+        var record = records[i];
+        if (record.remote === entry.remote.url &&
+            record.resolution !== 'remote' &&
+            record.local.changenumber === local.changenumber &&
+            (record.later || []).length < LATER_MAX &&
+            ldap.parseDN(record.dn).equals(target)) {
+            return record;
+        }
+    }
+    return null;
+};
+
+/**
+ * Find the newest local changelog entry for a DN if it wasn't written from the
+ * change's remote.
+ *
+ * Writes made by the replicator are tagged with the uuid of their remote, so
+ * anything else was written locally or by another remote.  The callback
+ * receives the changenumber, changetime, changetype and origin uuid of that
+ * entry, or null.
+ *
+ * The changelog keeps a DN as spelled by its writer, so the newest change to
+ * any of the usual spellings of the DN is fetched.
+ */
+Replicator.prototype._localOrigin = function _localOrigin(entry, dn, cb) {
+    cb = once(cb);
+    var uuid = entry.remote.connection.identity.uuid;
+    if (!uuid) {
+        // Without a uuid, writes from the remote can't be told apart
+        cb(null, null);
+        return;
+    }
+    var target = ldap.parseDN(dn);
+    var spellings = [
+        dn.toString(),
+        target.toString(),
+        target.format({skipSpace: true})
+    ].filter(function (value, i, values) {
+        return (values.indexOf(value) === i);
+    });
+    var opts = {
+        scope: 'one',
+        sizeLimit: 1,
+        filter: new ldap.OrFilter({
+            filters: spellings.map(function (value) {
+                return new ldap.EqualityFilter({
+                    attribute: 'targetdn',
+                    value: value
+                });
+            })
+        })
+    };
+    var sort = new ldap.ServerSideSortingRequestControl({
+        value: {
+            attributeType: 'changenumber',
+            reverseOrder: true
+        }
+    });
+    this.client.search(CHANGELOG, opts, [sort], function (err, res) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var last = null;
+        res.once('searchEntry', function (item) {
+            last = item.object;
+        });
+        res.once('end', function () {
+            var origin = (last) ? RemoteDirectory.changeOrigin(last) : null;
+            if (!last || (origin && origin.uuid === uuid)) {
+                cb(null, null);
+                return;
+            }
+            cb(null, {
+                changenumber: parseInt(last.changenumber, 10),
+                changetime: last.changetime,
+                changetype: last.changetype,
+                origin: (origin) ? origin.uuid : null
+            });
+        });
+        res.once('error', cb);
+    });
+};
+
+/**
+ * Count the outcome of handling a changelog entry.
+ */
+Replicator.prototype._countChange = function _countChange(entry, outcome) {
+    this._metrics.changes.inc({
+        remote: entry.remote.url,
+        changetype: entry.change.changetype,
+        outcome: outcome
+    });
 };
 
 Replicator.prototype._processAdd = function _processAdd(entry, cb) {
     var self = this;
-    var dn = entry.change.targetdn.toString();
-    var attrs = entry.change.changes;
+    var conn = entry.remote.connection;
+    var dn = conn.localDN(entry.change.targetdn);
+    // Adds only match the first query selecting them
+    var attrs = conn.localEntry(
+        entry.change.queries[0].transform(entry.change.changes));
     var ctrls = entry.controls;
 
     function addModify() {
         var changes = [];
-        attrs.forEach(function (attr) {
+        Object.keys(attrs).forEach(function (attr) {
             changes.push(new ldap.Change({
                 operation: 'replace',
                 modification: new ldap.Attribute({
@@ -576,12 +2697,12 @@ Replicator.prototype._processAdd = function _processAdd(entry, cb) {
                         dn: dn,
                         remoteUFDS: entry.remote.url
                     }, 'add-modify failure');
-                    cb();
+                    cb(null, 'skip');
                 } else {
                     cb(err);
                 }
             } else {
-                cb();
+                cb(null, 'add-modify');
             }
         });
     }
@@ -590,8 +2711,18 @@ Replicator.prototype._processAdd = function _processAdd(entry, cb) {
     this.client.add(dn, attrs, ctrls, function (err, res) {
         if (err) {
             if (err.name === 'EntryAlreadyExistsError') {
-                // Perform a modify instead.  Last write wins
-                return addModify();
+                // Perform a modify instead, unless the local entry has been
+                // written since and the conflict policy keeps it
+                return self._resolveConflict(entry, dn,
+                    function (err2, apply) {
+                    if (err2) {
+                        cb(err2);
+                    } else if (apply) {
+                        addModify();
+                    } else {
+                        cb(null, 'conflict');
+                    }
+                });
             } else if (err.name === 'ConstraintViolationError') {
                 // Treat this seriously but move forward
                 self.log.fatal({
@@ -600,7 +2731,10 @@ Replicator.prototype._processAdd = function _processAdd(entry, cb) {
                     dn: dn,
                     remoteUFDS: entry.remote.url
                 }, 'add failure');
-                return cb();
+                return cb(null, 'skip');
+            } else if (err.name === 'NoSuchObjectError') {
+                // The parent entry hasn't been replicated (yet)
+                return self._missingParent(entry, dn, err, cb);
             } else {
                 // log and try again
                 self.log.warn({err: err}, 'error during add');
@@ -609,7 +2743,7 @@ Replicator.prototype._processAdd = function _processAdd(entry, cb) {
         }
         // success
         self.log.debug({dn: dn}, 'add success');
-        return cb();
+        return cb(null, 'add');
     });
 };
 
@@ -619,63 +2753,147 @@ Replicator.prototype._processModify = function _processModify(entry, cb) {
     // 2. Neither matches filter - ignore
     // 3. Old matches, updated doesn't - delete
     // 4. Old doesn't match, updated does - modify
-    // 5. Local not found, updated matches - add
+    // 5. Local not found, current remote entry matches - add
     var self = this;
-    var dn = entry.change.targetdn.toString();
+    var conn = entry.remote.connection;
+    var dn = conn.localDN(entry.change.targetdn);
     var changes = entry.change.changes;
 
-    function matchesFilter(obj) {
+    // The first query matching an entry supplies its attribute rules.  Local
+    // entries have their attributes renamed back before being matched.
+    function matchingQuery(obj, local) {
         var queries = entry.change.queries;
         for (var i = 0; i < queries.length; i++) {
-            if (queries[i].matches(obj)) {
-                return true;
+            var remoteObj = (local) ? queries[i].toRemote(obj) : obj;
+            if (queries[i].matches(entry.change.targetdn, remoteObj)) {
+                return queries[i];
+            }
+        }
+        return null;
+    }
+    // The changes alone rarely make up a valid entry, so the whole entry is
+    // fetched from the remote.  It may already include later changes, which
+    // will be applied over it in turn.
+    function addRemote() {
+        conn.get(entry.change.targetdn, function (err, obj) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            var query = (obj !== null) ? matchingQuery(obj) : null;
+            if (!query) {
+                // scenario 2: ignore (or removed from the remote since)
+                cb(null, 'ignore');
+                return;
+            }
+            self._addFetched(entry, entry.change.targetdn, query, obj,
+                function (err2, outcome) {
+                if (err2 || CREATED.indexOf(outcome) === -1) {
+                    cb(err2, outcome);
+                    return;
+                }
+                self.log.debug({dn: dn}, 'modify-add success');
+                cb(null, 'modify-add');
+            });
+        });
+    }
+    function replaceRemote(old) {
+        conn.get(entry.change.targetdn, function (err, obj) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            var query = (obj !== null) ? matchingQuery(obj) : null;
+            if (!query) {
+                // Changed again or removed on the remote since, which later
+                // changes will take care of
+                cb(null, 'ignore');
+                return;
             }
-        }
-        return false;
+            // Local attributes the query doesn't write are kept
+            var local = entryChanges(old,
+                conn.localEntry(query.transform(obj)),
+                query.replicates.bind(query));
+            if (local.length === 0) {
+                cb(null, 'ignore');
+                return;
+            }
+            modify(local);
+        });
+    }
+    function modify(local) {
+        self._resolveConflict(entry, dn, function (err, apply) {
+            if (err) {
+                cb(err);
+                return;
+            } else if (!apply) {
+                cb(null, 'conflict');
+                return;
+            }
+            self.client.modify(dn, local, entry.controls, function (err2) {
+                if (!err2) {
+                    self.log.debug({dn: dn}, 'modify success');
+                }
+                cb(err2, 'modify');
+            });
+        });
     }
     function evalOptions(old) {
-        var updated = {};
-        var oldMatches = false;
-        if (old !== null) {
-            updated = clone(old);
-            oldMatches = matchesFilter(old);
+        if (old === null) {
+            // scenario 5: add
+            return addRemote();
         }
-        changes.forEach(function (change) {
-            ldap.Change.apply(change, updated);
+        var oldMatches = matchingQuery(old, true);
+        var newMatches = null;
+        // The changes are applied to the local entry as each query would
+        // write them
+        entry.change.queries.some(function (query) {
+            var updated = clone(old);
+            conn.localChanges(query.transformChanges(changes)).forEach(
+                function (change) {
+                ldap.Change.apply(change, updated);
+            });
+            if (query.matches(entry.change.targetdn,
+                query.toRemote(updated))) {
+                newMatches = query;
+            }
+            return (newMatches !== null);
         });
-        var newMatches = matchesFilter(updated);
 
         if (!oldMatches && !newMatches) {
             // scenario 2: ignore
-            return cb();
-        } else if (newMatches && old !== null) {
-            // scenarios 1 & 4: modify
-            self.client.modify(dn, changes, entry.controls, function (err) {
-                if (!err) {
-                    self.log.debug({dn: dn}, 'modify success');
-                }
-                cb(err);
-            });
-        } else if (oldMatches && !newMatches) {
-            // scenarios 3: delete
-            self.client.del(dn, entry.controls, function (err) {
-                if (!err) {
-                    self.log.debug({dn: dn}, 'modify-delete success');
-                }
-                cb(err);
-            });
-        } else if (old === null && newMatches) {
-            // scenarios 5: add
-            self.client.add(dn, updated, entry.controls, function (err) {
-                if (!err) {
-                    self.log.debug({dn: dn}, 'modify-add success');
+            return cb(null, 'ignore');
+        } else if (newMatches && !oldMatches) {
+            // scenario 4: modify, bringing over the whole remote entry since
+            // earlier changes to it were ignored
+            return replaceRemote(old);
+        } else if (newMatches) {
+            // scenario 1: modify
+            var local = targetChanges(old, conn.localChanges(
+                newMatches.transformChanges(changes)));
+            if (local.length === 0) {
+                // Only excluded attributes changed, or the change was
+                // already applied
+                return cb(null, 'ignore');
+            }
+            modify(local);
+        } else {
+            // scenarios 3: delete, unless local writes keep the entry
+            self._resolveConflict(entry, dn, function (err, apply) {
+                if (err) {
+                    cb(err);
+                    return;
+                } else if (!apply) {
+                    cb(null, 'conflict');
+                    return;
                 }
-                cb(err);
+                self.client.del(dn, entry.controls, function (err2) {
+                    if (!err2) {
+                        self.log.debug({dn: dn}, 'modify-delete success');
+                    }
+                    cb(err2, 'modify-delete');
+                });
             });
-        } else {
-            // Shouldn't be possible, squawk about it
-            self.log.error('impossible modify combination');
-            return cb();
         }
         return null;
     }
@@ -706,20 +2924,47 @@ Replicator.prototype._processDel = function _processDel(entry, cb) {
     // 2. Entry does exist locally but does not match filter - ignore
     // 2. Entry does exist locally and does match filter - delete
     var self = this;
+    var dn = entry.remote.connection.localDN(entry.change.targetdn);
     var log = this.log.child({op: 'delete', dn: dn});
-    var dn = entry.change.targetdn.toString();
+    var descendants = !entry.remote.recursiveDelete;
+    var removed = 0;
+    // Local writes since the entry was replicated may keep it
+    function checkedDelete() {
+        self._resolveConflict(entry, dn, function (err, apply) {
+            if (err) {
+                cb(err);
+            } else if (!apply) {
+                cb(null, 'conflict');
+            } else {
+                performDelete();
+            }
+        });
+    }
     function performDelete() {
         self.client.del(dn, entry.controls, function (err) {
             if (err) {
                 if (err.name !== 'NotAllowedOnNonLeafError') {
                     return cb(err);
+                } else if (!descendants) {
+                    // Clear out the replicated descendants and try again
+                    descendants = true;
+                    return self._deleteDescendants(entry, dn,
+                        function (err2, children) {
+                        if (err2) {
+                            cb(err2);
+                        } else {
+                            removed = children.length;
+                            performDelete();
+                        }
+                    });
                 } else {
                     // Log this, but still succeed
                     log.warn('skipping delete of non-leaf node');
+                    return cb(null, 'non-leaf');
                 }
             }
-            log.debug('success');
-            return cb();
+            log.debug({removed: removed}, 'success');
+            return cb(null, (removed > 0) ? 'delete-recursive' : 'delete');
         });
     }
 
@@ -732,25 +2977,156 @@ Replicator.prototype._processDel = function _processDel(entry, cb) {
         }
         res.once('searchEntry', function (item) {
             res.removeAllListeners();
-            // The item needs to match a queries to be deleted
+            // The item needs to match a queries to be deleted, with its
+            // attributes renamed back
             var queries = entry.change.queries;
             for (var i = 0; i < queries.length; i++) {
                 var query = queries[i];
-                if (query.matches(item.object)) {
-                    return performDelete();
+                if (query.matches(entry.change.targetdn,
+                    query.toRemote(item.object))) {
+                    return checkedDelete();
                 }
             }
             // No matches. We're not meant to delete this, so report success.
             log.trace('does not match queries');
-            return cb();
+            return cb(null, 'ignore');
         });
-        res.once('end', cb.bind(null, null)); // Not found
+        res.once('end', cb.bind(null, null, 'ignore')); // Not found
         res.once('error', function (err2) {
             // If the item doesn't exist in the directory, we can consider the
             // deletion a success.
             if (err2.name === 'NoSuchObjectError') {
                 log.trace('not found locally');
-                cb();
+                cb(null, 'ignore');
+            } else {
+                cb(err2);
+            }
+        });
+        return null;
+    });
+};
+
+Replicator.prototype._processRename = function _processRename(entry, cb) {
+    // Possible scenarios:
+    // 1. Old and new DNs both replicated - rename
+    // 2. Neither replicated - ignore
+    // 3. Old replicated, new isn't - delete
+    // 4. Old not replicated, new is - add the current remote entry
+    var self = this;
+    var conn = entry.remote.connection;
+    var change = entry.change;
+    var dn = conn.localDN(change.targetdn);
+    var newdn = conn.localDN(change.newdn);
+    var log = this.log.child({op: 'rename', dn: dn, newdn: newdn});
+
+    // Local entries have their attributes renamed back before being matched
+    function matchingQuery(target, obj, local) {
+        var queries = change.queries;
+        for (var i = 0; i < queries.length; i++) {
+            var remoteObj = (local) ? queries[i].toRemote(obj) : obj;
+            if (queries[i].matches(target, remoteObj)) {
+                return queries[i];
+            }
+        }
+        return null;
+    }
+    // Local writes to the DNs since they were replicated may keep them
+    function checked(dns, next) {
+        if (dns.length === 0) {
+            next();
+            return;
+        }
+        self._resolveConflict(entry, dns[0], function (err, apply) {
+            if (err) {
+                cb(err);
+            } else if (!apply) {
+                cb(null, 'conflict');
+            } else {
+                checked(dns.slice(1), next);
+            }
+        });
+    }
+    function performRename() {
+        self.client.modifyDN(dn, newdn, entry.controls, function (err) {
+            if (err) {
+                if (err.name === 'NotAllowedOnNonLeafError') {
+                    // Skipping would leave the entry at its old DN while
+                    // later changes recreate it at the new one, so the
+                    // change is retried and then dead-lettered
+                    log.warn('unable to rename non-leaf node');
+                }
+                return cb(err);
+            }
+            log.debug('success');
+            return cb(null, 'rename');
+        });
+    }
+    function performDelete() {
+        self.client.del(dn, entry.controls, function (err) {
+            if (err) {
+                if (err.name !== 'NotAllowedOnNonLeafError') {
+                    return cb(err);
+                }
+                log.warn('skipping delete of non-leaf node');
+                return cb(null, 'non-leaf');
+            }
+            log.debug('rename-delete success');
+            return cb(null, 'rename-delete');
+        });
+    }
+    function performAdd(query, obj) {
+        // An existing entry at the new DN is updated instead
+        self._addFetched(entry, change.newdn, query, obj,
+            function (err, outcome) {
+            if (err || CREATED.indexOf(outcome) === -1) {
+                cb(err, outcome);
+                return;
+            }
+            log.debug('rename-add success');
+            cb(null, 'rename-add');
+        });
+    }
+    function evalOptions(old) {
+        var oldMatches = (old !== null) ?
+            matchingQuery(change.targetdn, old, true) : null;
+        // The entry is looked up on the remote, since the local one may be
+        // missing or not replicated
+        conn.get(change.newdn, function (err, obj) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            var newMatches = (obj !== null) ?
+                matchingQuery(change.newdn, obj) : null;
+            if (!oldMatches && !newMatches) {
+                // scenario 2: ignore (or changed again on the remote since)
+                cb(null, 'ignore');
+            } else if (oldMatches && newMatches) {
+                // scenario 1: rename
+                checked([dn, newdn], performRename);
+            } else if (oldMatches) {
+                // scenario 3: delete
+                checked([dn], performDelete);
+            } else {
+                // scenario 4: add
+                performAdd(newMatches, obj);
+            }
+        });
+    }
+
+    log.trace('begin');
+    this.client.search(dn, {scope: 'base'}, function (err, res) {
+        if (err) {
+            return cb(err);
+        }
+        res.once('searchEntry', function (item) {
+            res.removeAllListeners();
+            evalOptions(item.object);
+        });
+        res.once('end', evalOptions.bind(null, null));
+        res.once('error', function (err2) {
+            if (err2.name === 'NoSuchObjectError') {
+                evalOptions(null);
             } else {
                 cb(err2);
             }
@@ -759,6 +3135,129 @@ Replicator.prototype._processDel = function _processDel(entry, cb) {
     });
 };
 
+/**
+ * Delete the local descendants of an entry which are replicated from the
+ * remote of a delete change, deepest first.
+ *
+ * Nothing is deleted when a descendant matches none of the remote's queries,
+ * or when the remote's conflict policy keeps a descendant written locally,
+ * since the entry itself couldn't be deleted afterwards.  The removed DNs are
+ * logged against the change, counted, and passed to the callback.
+ */
+Replicator.prototype._deleteDescendants =
+    function _deleteDescendants(entry, dn, cb) {
+    cb = once(cb);
+    var self = this;
+    var conn = entry.remote.connection;
+    var parent = ldap.parseDN(dn);
+    var log = this.log.child({
+        op: 'delete',
+        dn: dn,
+        remoteUFDS: entry.remote.url,
+        changenumber: entry.change.changenumber
+    });
+    var ctrls = this._changeControls(entry, false);
+    var found = [];
+    var kept = [];
+
+    // Descendants keep the same relative DN locally and on the remote
+    function remoteDN(local) {
+        var rdns = local.rdns.slice(0, local.length - parent.length);
+        return new ldap.DN(rdns.concat(entry.change.targetdn.rdns));
+    }
+    // Local entries have their attributes renamed back before being matched
+    function replicated(local, obj) {
+        var target = remoteDN(local);
+        return conn.queries.some(function (query) {
+            return query.matches(target, query.toRemote(obj));
+        });
+    }
+
+    // Every descendant must go for the entry to be deleted
+    function checkAll() {
+        if (kept.length > 0) {
+            log.warn({kept: kept}, 'descendants not replicated, ' +
+                'leaving replicated ones in place');
+            cb(null, []);
+            return;
+        }
+        vasync.forEachPipeline({
+            inputs: found,
+            func: function (child, next) {
+                self._resolveConflict(entry, child.toString(),
+                    function (err, apply) {
+                    if (!err && !apply) {
+                        kept.push(child.toString());
+                    }
+                    next(err);
+                });
+            }
+        }, function (err) {
+            if (err) {
+                cb(err);
+            } else if (kept.length > 0) {
+                log.warn({kept: kept}, 'descendants kept by conflict ' +
+                    'policy, leaving replicated ones in place');
+                cb(null, []);
+            } else {
+                deleteAll();
+            }
+        });
+    }
+    function deleteAll() {
+        found.sort(function (a, b) {
+            return (b.length - a.length);
+        });
+        var removed = [];
+        vasync.forEachPipeline({
+            inputs: found,
+            func: function (child, next) {
+                self.client.del(child.toString(), ctrls, function (err) {
+                    if (err && err.name !== 'NoSuchObjectError' &&
+                        err.name !== 'NotAllowedOnNonLeafError') {
+                        next(err);
+                        return;
+                    }
+                    if (err) {
+                        log.warn({child: child.toString(), err: err},
+                            'unable to delete descendant');
+                    } else {
+                        removed.push(child.toString());
+                    }
+                    next();
+                });
+            }
+        }, function (err) {
+            if (removed.length > 0) {
+                log.info({removed: removed}, 'deleted replicated descendants');
+                self._metrics.descendants.inc({remote: entry.remote.url},
+                    removed.length);
+            }
+            cb(err, removed);
+        });
+    }
+
+    log.debug('looking up replicated descendants');
+    this.client.search(dn, {scope: 'sub'}, function (err, res) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        res.on('searchEntry', function (item) {
+            var child = ldap.parseDN(item.object.dn);
+            if (child.equals(parent)) {
+                return;
+            } else if (replicated(child, item.object)) {
+                found.push(child);
+            } else {
+                kept.push(child.toString());
+            }
+        });
+        res.on('error', cb);
+        res.on('end', checkAll);
+    });
+};
+
 
 /**
  * Initialize local checkpoint for remote UFDS instance.
@@ -771,10 +3270,17 @@ Replicator.prototype._checkpointInit = function _checkpointInit(remote, cb) {
         if (err && err.name !== 'NoSuchObjectError') {
             return cb(err);
         }
+        var state = self._storedState(remote);
+        remote.suspended = !!(state && state.suspended);
+        if (remote.suspended) {
+            self.log.warn({remoteUFDS: remote.url}, 'remote is suspended');
+        }
         if (res) {
             // Found a checkpoint
             remote.searchnumber = parseInt(res.changenumber, 10);
             remote.checkpoint = res.dn.toString();
+            self._checkpointed(remote, remote.searchnumber);
+            self._restoreGap(remote);
 
             self.log.debug({
                 url: remote.url,
@@ -782,14 +3288,161 @@ Replicator.prototype._checkpointInit = function _checkpointInit(remote, cb) {
                 dn: res.dn
             }, 'initialized from existing checkpoint');
             cb(null);
+        } else if (remote.bootstrap) {
+            // Copy the current remote contents instead of replaying the
+            // entire changelog
+            self._bootstrap(remote, cb);
         } else {
             // Need to create one
-            self._checkpointAdd(remote, cb);
+            self._checkpointAdd(remote, 0, cb);
         }
         return null;
     });
 };
 
+/**
+ * Load all entries matching the remote queries and checkpoint the remote at
+ * the changenumber observed before the copy began.
+ *
+ * Changes made on the remote while the copy is in progress are replayed from
+ * the changelog afterwards, which is harmless since adds of existing entries
+ * fall back to a modify.
+ */
+Replicator.prototype._bootstrap = function _bootstrap(remote, cb) {
+    var self = this;
+    var conn = remote.connection;
+    var log = this.log.child({remoteUFDS: remote.url, op: 'bootstrap'});
+    var entries = {};
+    var changenumber;
+    var loaded = 0;
+    var skipped = 0;
+
+    function getLatest(_, next) {
+        conn.latestChangenumber(function (err, latest) {
+            changenumber = latest;
+            next(err);
+        });
+    }
+
+    function fetchEntries(_, next) {
+        vasync.forEachPipeline({
+            inputs: conn.queries,
+            func: function (query, qcb) {
+                conn.search(query, function (dn, obj) {
+                    var parsed = ldap.parseDN(conn.localDN(dn));
+                    var key = parsed.toString();
+                    if (entries[key]) {
+                        // Already selected by an earlier query
+                        return;
+                    }
+                    entries[key] = {
+                        dn: parsed,
+                        object: conn.localEntry(query.transform(obj))
+                    };
+                }, qcb);
+            }
+        }, function (err) {
+            next(err);
+        });
+    }
+
+    function loadEntries(_, next) {
+        // Parents must exist before their children can be added
+        var sorted = Object.keys(entries).map(function (key) {
+            return entries[key];
+        }).sort(function (a, b) {
+            return (a.dn.length - b.dn.length);
+        });
+        var ctrls = [];
+        if (conn.identity.uuid) {
+            ctrls.push(new controls.ChangelogHintRequestControl({
+                value: {
+                    uuid: conn.identity.uuid,
+                    changenumber: changenumber
+                }
+            }));
+        }
+        log.info({count: sorted.length, changenumber: changenumber},
+            'loading remote entries');
+
+        vasync.forEachPipeline({
+            inputs: sorted,
+            func: function (item, ecb) {
+                var dn = item.dn.toString();
+                self._loadEntry(dn, item.object, ctrls, function (err) {
+                    if (err && (err.name === 'NoSuchObjectError' ||
+                        err.name === 'ConstraintViolationError')) {
+                        // The entry (or its parent, which is outside of the
+                        // queries) is unsuitable for this replica.
+                        log.warn({err: err, dn: dn}, 'skipping entry');
+                        skipped++;
+                        err = null;
+                    } else if (!err) {
+                        loaded++;
+                    }
+                    ecb(err);
+                });
+            }
+        }, function (err) {
+            next(err);
+        });
+    }
+
+    log.info('begin bootstrap');
+    vasync.pipeline({
+        funcs: [
+            getLatest,
+            fetchEntries,
+            loadEntries,
+            function checkpoint(_, next) {
+                if (remote.checkpoint) {
+                    self._checkpointSet(remote, changenumber, next);
+                } else {
+                    self._checkpointAdd(remote, changenumber, next);
+                }
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            log.error({err: err}, 'bootstrap failed');
+            cb(err);
+            return;
+        }
+        log.info({
+            changenumber: changenumber,
+            loaded: loaded,
+            skipped: skipped
+        }, 'bootstrap complete');
+        self.emit('bootstrap', remote.url, changenumber);
+        cb(null);
+    });
+};
+
+/**
+ * Write a complete entry to local UFDS, replacing any existing attributes.
+ */
+Replicator.prototype._loadEntry = function _loadEntry(dn, obj, ctrls, cb) {
+    var self = this;
+    this.client.add(dn, obj, ctrls, function (err) {
+        if (!err || err.name !== 'EntryAlreadyExistsError') {
+            cb(err);
+            return;
+        }
+        var changes = Object.keys(obj).map(function (attr) {
+            return new ldap.Change({
+                operation: 'replace',
+                modification: new ldap.Attribute({
+                    type: attr,
+                    vals: obj[attr]
+                })
+            });
+        });
+        self.client.modify(dn, changes, ctrls, function (err2) {
+            cb(err2);
+        });
+    });
+};
+
 /**
  * Query local UFDS for a checkpoint record.
  */
@@ -857,10 +3510,89 @@ Replicator.prototype._checkpointGet = function _checkpointGet(ident, cb) {
     });
 };
 
+/**
+ * Move an existing checkpoint record to a new changenumber.
+ */
+Replicator.prototype._checkpointSet =
+    function _checkpointSet(remote, changenumber, cb) {
+    this._checkpointWrite(remote, changenumber, function (err) {
+        if (!err) {
+            remote.searchnumber = changenumber;
+        }
+        cb(err);
+    });
+};
+
+/**
+ * Record a changenumber in an existing checkpoint record, leaving the
+ * position of the changelog search alone.
+ */
+Replicator.prototype._checkpointWrite =
+    function _checkpointWrite(remote, changenumber, cb) {
+    var self = this;
+    var change = new ldap.Change({
+        operation: 'replace',
+        modification: new ldap.Attribute({
+            type: 'changenumber',
+            vals: [changenumber.toString()]
+        })
+    });
+    this.client.modify(remote.checkpoint, change, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        self._checkpointed(remote, changenumber);
+        self.log.debug({url: remote.url, changenumber: changenumber},
+            'checkpoint set');
+        cb(null);
+    });
+};
+
+/**
+ * Store the last changenumber scanned from a remote once every change up to
+ * it has been applied, so that a restart doesn't rescan a run of changes which
+ * matched no query.  The position is stored at most once per
+ * checkpointInterval.
+ */
+Replicator.prototype._checkpointScanned = function _checkpointScanned(remote) {
+    var self = this;
+    var now = Date.now();
+    if (remote.searchnumber <= remote.checkpointed || remote.scanWriting ||
+        remote.queue.length > 0 || remote.retryTimer ||
+        (this._current && this._current.remote === remote) ||
+        now - remote.scannedTime < this.checkpointInterval) {
+        return;
+    }
+    remote.scanWriting = true;
+    remote.scannedTime = now;
+    this._checkpointWrite(remote, remote.searchnumber, function (err) {
+        remote.scanWriting = false;
+        if (err) {
+            self.log.warn({err: err, remoteUFDS: remote.url},
+                'unable to store scanned changenumber');
+        }
+        if (remote.queue.length > 0) {
+            // Changes queued meanwhile were held back
+            self._kickProcess();
+        }
+    });
+};
+
+/**
+ * Track the changenumber stored in a remote's checkpoint.  The checkpoint only
+ * moves forward.
+ */
+Replicator.prototype._checkpointed = function _checkpointed(remote, number) {
+    remote.checkpointed = Math.max(remote.checkpointed, number);
+    this._metrics.checkpoint.set({remote: remote.url}, remote.checkpointed);
+};
+
 /**
  * Add a checkpoint record to local UFDS.
  */
-Replicator.prototype._checkpointAdd = function _checkpointAdd(remote, cb) {
+Replicator.prototype._checkpointAdd =
+    function _checkpointAdd(remote, changenumber, cb) {
     var self = this;
     cb = once(cb);
 
@@ -868,8 +3600,11 @@ Replicator.prototype._checkpointAdd = function _checkpointAdd(remote, cb) {
     var entry = {
         url: ident.url,
         objectclass: [this.checkpointObjectclass],
-        changenumber: 0,
-        query: remote.connection.rawQueries
+        changenumber: changenumber,
+        query: remote.connection.rawQueries.map(function (query) {
+            // Queries with attribute rules are objects
+            return (query.query || query);
+        })
     };
     var dn;
 
@@ -889,8 +3624,72 @@ Replicator.prototype._checkpointAdd = function _checkpointAdd(remote, cb) {
             return cb(err);
         }
         remote.checkpoint = dn;
-        remote.searchnumber = 0;
-        self.log.debug({url: ident.url, changenumber: 0}, 'checkpoint add');
+        remote.searchnumber = changenumber;
+        self._checkpointed(remote, changenumber);
+        self.log.debug({url: ident.url, changenumber: changenumber},
+            'checkpoint add');
         return cb(null);
     });
 };
+
+/**
+ * Delete the checkpoint record of a remote from local UFDS.
+ *
+ * The callback receives the contents of the deleted record, or null if the
+ * remote had no checkpoint.
+ */
+Replicator.prototype._checkpointRemove =
+    function _checkpointRemove(remote, cb) {
+    var self = this;
+    cb = once(cb);
+
+    function fetch(dn) {
+        self.client.search(dn, {scope: 'base'}, function (err, res) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            var record = null;
+            res.on('searchEntry', function (entry) {
+                record = entry.object;
+                delete record.controls;
+            });
+            res.on('end', function () {
+                remove(dn, record);
+            });
+            res.on('error', function (err2) {
+                if (err2.name === 'NoSuchObjectError') {
+                    cb(null, null);
+                } else {
+                    cb(err2);
+                }
+            });
+        });
+    }
+
+    function remove(dn, record) {
+        self.client.del(dn, function (err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            remote.checkpoint = null;
+            self.log.info({url: remote.url, dn: dn}, 'checkpoint deleted');
+            cb(null, record);
+        });
+    }
+
+    if (remote.checkpoint) {
+        fetch(remote.checkpoint);
+        return;
+    }
+    this._checkpointGet(remote.connection.identity, function (err, res) {
+        if (err && err.name !== 'NoSuchObjectError') {
+            cb(err);
+        } else if (!res) {
+            cb(null, null);
+        } else {
+            fetch(res.dn.toString());
+        }
+    });
+};
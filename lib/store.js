@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var fs = require('fs');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+
+///--- API
+
+/**
+ * Small persistent collection of JSON records, one per line in a file.
+ *
+ * Records are held in memory and the whole file is rewritten after each
+ * change.  Each record is assigned a numeric 'id' and a 'time' when added.
+ * Ids are never reused: the next id is kept on the first line of the file.
+ * Without a path, records are only kept in memory.
+ *
+ * Parameters:
+ *  - log: Bunyan logger
+ *  - path: File to persist records to (optional)
+ */
+function RecordStore(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.path, 'opts.path');
+
+    this.log = opts.log;
+    this.path = opts.path || null;
+    this._records = [];
+    this._nextId = 1;
+    this._queue = vasync.queue(this._write.bind(this), 1);
+
+    this._load();
+}
+module.exports = RecordStore;
+
+
+/**
+ * List all records, oldest first.
+ */
+RecordStore.prototype.list = function list() {
+    return this._records.slice();
+};
+
+/**
+ * Look up a record by id.
+ */
+RecordStore.prototype.get = function get(id) {
+    id = parseInt(id, 10);
+    for (var i = 0; i < this._records.length; i++) {
+        if (this._records[i].id === id) {
+            return this._records[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Add a record.  The callback receives the stored record.
+ */
+RecordStore.prototype.add = function add(record, cb) {
+    assert.object(record, 'record');
+    record.id = this._nextId++;
+    record.time = record.time || new Date().toISOString();
+    this._records.push(record);
+    this._persist(function (err) {
+        cb(err, record);
+    });
+};
+
+/**
+ * Change some fields of a record.  The callback receives the updated record,
+ * or null if there was none.
+ */
+RecordStore.prototype.update = function update(id, fields, cb) {
+    assert.object(fields, 'fields');
+    var record = this.get(id);
+    if (!record) {
+        cb(null, null);
+        return;
+    }
+    Object.keys(fields).forEach(function (key) {
+        record[key] = fields[key];
+    });
+    this._persist(function (err) {
+        cb(err, record);
+    });
+};
+
+/**
+ * Remove a record by id.  The callback receives the removed record, or null
+ * if there was none.
+ */
+RecordStore.prototype.remove = function remove(id, cb) {
+    var record = this.get(id);
+    if (!record) {
+        cb(null, null);
+        return;
+    }
+    this._records.splice(this._records.indexOf(record), 1);
+    this._persist(function (err) {
+        cb(err, record);
+    });
+};
+
+
+///--- Private methods
+
+/**
+ * Read existing records from disk.
+ */
+RecordStore.prototype._load = function _load() {
+    if (!this.path || !fs.existsSync(this.path)) {
+        return;
+    }
+    var self = this;
+    var lines = fs.readFileSync(this.path, 'utf8').split('\n');
+    lines.forEach(function (line) {
+        if (line.trim() === '') {
+            return;
+        }
+        try {
+            var record = JSON.parse(line);
+            if (record.nextId !== undefined && record.id === undefined) {
+                self._nextId = Math.max(self._nextId, record.nextId);
+                return;
+            }
+            self._records.push(record);
+            self._nextId = Math.max(self._nextId, record.id + 1);
+        } catch (e) {
+            self.log.warn({path: self.path, line: line},
+                'skipping unparseable record');
+        }
+    });
+    this.log.debug({path: this.path, count: this._records.length},
+        'records loaded');
+};
+
+RecordStore.prototype._persist = function _persist(cb) {
+    if (!this.path) {
+        cb(null);
+        return;
+    }
+    this._queue.push(null, cb);
+};
+
+/**
+ * Replace the file with the current records.  Writes are serialized by the
+ * queue and go through a temporary file so a crash can't truncate the store.
+ */
+RecordStore.prototype._write = function _write(_, cb) {
+    var self = this;
+    var tmp = this.path + '.tmp';
+    var data = JSON.stringify({nextId: this._nextId}) + '\n';
+    data += this._records.map(function (record) {
+        return JSON.stringify(record) + '\n';
+    }).join('');
+
+    fs.writeFile(tmp, data, 'utf8', function (err) {
+        if (err) {
+            self.log.error({err: err, path: tmp}, 'unable to write records');
+            cb(err);
+            return;
+        }
+        fs.rename(tmp, self.path, function (err2) {
+            if (err2) {
+                self.log.error({err: err2, path: self.path},
+                    'unable to write records');
+            }
+            cb(err2);
+        });
+    });
+};
@@ -15,7 +15,9 @@ var dashdash = require('dashdash');
 var bunyan = require('bunyan');
 var vasync = require('vasync');
 
-var Replicator = require('./lib/index').Replicator;
+var lib = require('./lib/index');
+var AdminServer = lib.AdminServer;
+var Replicator = lib.Replicator;
 
 
 var LOG = bunyan.createLogger({
@@ -49,6 +51,19 @@ function usage(code, msg) {
 }
 
 
+function readConfig(file) {
+    LOG.info({file: file}, 'Processing configuration file');
+
+    var config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    LOG.level(config.logLevel || 'info');
+
+    LOG.debug(config, 'config processed');
+    config.file = file;
+    config.log = LOG;
+    return config;
+}
+
+
 function loadConfig() {
     var parsed = parser.parse(process.argv);
     var config;
@@ -57,20 +72,40 @@ function loadConfig() {
         usage(0);
     }
 
-    LOG.info({file: parsed.file}, 'Processing configuration file');
-
     try {
-        config = JSON.parse(fs.readFileSync(parsed.file, 'utf8'));
+        config = readConfig(parsed.file);
     } catch (e) {
         LOG.fatal('Unable to parse configuration file: ' + e.message);
         process.exit(1);
     }
+    return config;
+}
 
-    LOG.level(config.logLevel || 'info');
 
-    LOG.debug(config, 'config processed');
-    config.log = LOG;
-    return config;
+/**
+ * Re-read the configuration file and apply the remote changes to the running
+ * replicator.
+ *
+ * Returns the configuration now in effect, which the next reload is compared
+ * against: the one read, or the previous one if it couldn't be applied.
+ */
+function reloadConfig(rep, config) {
+    var updated;
+    try {
+        updated = readConfig(config.file);
+        rep.reload(updated.remotes);
+    } catch (e) {
+        LOG.error('Unable to reload configuration file: ' + e.message);
+        return config;
+    }
+
+    ['localUfds', 'adminServer'].forEach(function (key) {
+        if (JSON.stringify(updated[key]) !== JSON.stringify(config[key])) {
+            LOG.warn({setting: key}, 'setting change requires a restart');
+        }
+    });
+    LOG.info('configuration reloaded');
+    return updated;
 }
 
 
@@ -79,7 +114,15 @@ function main() {
 
     var rep = new Replicator({
         log: LOG,
-        ldapConfig: config.localUfds
+        ldapConfig: config.localUfds,
+        deadLetterPath: config.deadLetterPath,
+        conflictPath: config.conflictPath,
+        deferredPath: config.deferredPath,
+        statePath: config.statePath,
+        deferTimeout: config.deferTimeout,
+        ignoreOrigins: config.ignoreOrigins,
+        retryDelay: config.retryDelay,
+        checkpointInterval: config.checkpointInterval
     });
     config.remotes.forEach(function (item) {
         rep.addRemote(item);
@@ -90,7 +133,26 @@ function main() {
     });
     rep.start();
 
+    var admin;
+    if (config.adminServer) {
+        admin = new AdminServer({
+            log: LOG.child({component: 'admin'}),
+            replicator: rep,
+            host: config.adminServer.host,
+            port: config.adminServer.port,
+            token: config.adminServer.token
+        });
+        admin.listen();
+    }
+
+    process.on('SIGHUP', function () {
+        config = reloadConfig(rep, config);
+    });
+
     process.on('SIGINT', function () {
+        if (admin) {
+            admin.close();
+        }
         rep.destroy();
     });
 }
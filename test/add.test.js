@@ -129,8 +129,68 @@ test('add - non-matching', function (t) {
 });
 
 test('add - missing parent', function (t) {
-    t.fail('FIXME');
-    t.end();
+    var uuid = helper.uuid();
+    var dn = util.format('uuid=%s, ou=users, o=smartdc', uuid);
+    var obj = {
+        objectclass: 'sdcperson',
+        uuid: uuid,
+        login: 'nonmatch2',
+        email: 'user3@domain.tld',
+        userpassword: 'GreatestPassword!'
+    };
+    /* BEGIN JSSTYLED */
+    var fingerprint = 'db:e1:88:bb:a9:ee:ab:be:2f:9c:5b:2f:d9:01:ac:d9';
+    var key = {
+        objectclass: 'sdckey',
+        name: 'matchkey',
+        fingerprint: fingerprint,
+        openssh: 'ssh-rsa AAAAB3NzaC1yc2EAAAABIwAAAIEA1UeAFVU5WaJJwe+rPjN7MbostuTX5P2NOn4c07ymxnFEHSH4LJZkVrMdVQRHf3uHLaTyIpCSZfm5onx0s2DoRpLreH0GYxRNNhmsfGcav0teeC6jSzHjJnn+pLnCDVvyunSFs5/AJGU27KPU4RRF7vNaccPUdB+q4nGJ1H1/+YE= tetartoconid@valvulotomy'
+    };
+    /* END JSSTYLED */
+    var keyDN = util.format('fingerprint=%s, %s', fingerprint, dn);
+
+    // The key is parked until the user starts matching and is replicated
+    REPL.once('defer', function (record) {
+        t.equal(record.targetdn, keyDN);
+        t.equal(REPL.deferred.list().length, 1);
+        var mod = {
+            operation: 'replace',
+            modification: {
+                type: 'login',
+                vals: ['matching2']
+            }
+        };
+        PRIMARY.CLIENT.modify(dn, mod, function (err) {
+            t.ifError(err);
+        });
+    });
+    REPL.on('caughtup', function onCaughtup(url, num) {
+        if (num < CHANGENUM + 3) {
+            return;
+        }
+        REPL.removeListener('caughtup', onCaughtup);
+        CHANGENUM = num;
+        t.equal(REPL.deferred.list().length, 0);
+        REPLICA.CLIENT.search(keyDN, {scope: 'base'}, function (err, res) {
+            t.ifError(err);
+            var found = false;
+            res.on('error', t.ifError.bind(t));
+            res.once('searchEntry', function (entry) {
+                found = true;
+            });
+            res.once('end', function () {
+                t.ok(found);
+                t.end();
+            });
+        });
+    });
+
+    PRIMARY.CLIENT.add(dn, obj, function (err) {
+        t.ifError(err);
+        PRIMARY.CLIENT.add(keyDN, key, function (err2) {
+            t.ifError(err2);
+        });
+    });
 });
 
 test('add - conflict, matching objectClass', function (t) {
@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var http = require('http');
+
+var bunyan = require('bunyan');
+var test = require('tape').test;
+var AdminServer;
+var RecordStore;
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+    name: 'ufds-replicator-tests',
+    level: process.env.LOG_LEVEL || 'warn'
+});
+var PORT = 21000 + (process.pid % 1000);
+var SERVER;
+var REPL;
+
+
+///--- Helpers
+
+/**
+ * Minimal stand-in for a Replicator, backed by in-memory record stores.
+ */
+function fakeReplicator() {
+    var repl = {
+        deadLetters: new RecordStore({log: LOG}),
+        conflicts: new RecordStore({log: LOG}),
+        deferred: new RecordStore({log: LOG}),
+        replayed: [],
+        metrics: {
+            format: function () {
+                return 'ufds_replicator_queue_length 0\n';
+            }
+        },
+        status: function () {
+            return {
+                state: 'poll',
+                remotes: [ {url: 'ldap://remote', state: 'poll'} ]
+            };
+        },
+        getRemote: function (url) {
+            return (url === 'ldap://remote') ? {} : null;
+        },
+        replayDeadLetter: function (id, cb) {
+            repl.replayed.push(id);
+            repl.deadLetters.remove(id, function (err) {
+                cb(err, 'add');
+            });
+        },
+        discardDeadLetter: function (id, cb) {
+            repl.deadLetters.remove(id, cb);
+        },
+        discardDeferred: function (id, cb) {
+            repl.deferred.remove(id, cb);
+        },
+        suspendRemote: function (url, cb) {
+            cb(null);
+        }
+    };
+    return repl;
+}
+
+function request(method, path, headers, cb) {
+    if (typeof (headers) === 'function') {
+        cb = headers;
+        headers = {};
+    }
+    var req = http.request({
+        agent: false,
+        host: '127.0.0.1',
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function (res) {
+        var body = '';
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            body += chunk;
+        });
+        res.on('end', function () {
+            var parsed = body;
+            if (/json/.test(res.headers['content-type'])) {
+                parsed = JSON.parse(body);
+            }
+            cb(null, res.statusCode, parsed);
+        });
+    });
+    req.on('error', cb);
+    req.end();
+}
+
+function listen(opts, cb) {
+    opts.log = LOG;
+    opts.replicator = REPL;
+    opts.port = PORT;
+    SERVER = new AdminServer(opts);
+    SERVER.listen(cb);
+}
+
+
+///--- Tests
+
+test('load', function (t) {
+    AdminServer = require('../lib/admin_server');
+    RecordStore = require('../lib/store');
+    REPL = fakeReplicator();
+    listen({}, t.end.bind(t));
+});
+
+test('ping and status', function (t) {
+    request('GET', '/ping', function (err, code, body) {
+        t.ifError(err);
+        t.equal(code, 200);
+        t.deepEqual(body, {ping: 'pong'});
+        request('GET', '/status', function (err2, code2, body2) {
+            t.ifError(err2);
+            t.equal(code2, 200);
+            t.equal(body2.state, 'poll');
+            t.end();
+        });
+    });
+});
+
+test('metrics', function (t) {
+    request('GET', '/metrics', function (err, code, body) {
+        t.ifError(err);
+        t.equal(code, 200);
+        t.equal(body, 'ufds_replicator_queue_length 0\n');
+        t.end();
+    });
+});
+
+test('unknown path and method', function (t) {
+    request('GET', '/nope', function (err, code, body) {
+        t.ifError(err);
+        t.equal(code, 404);
+        t.equal(body.code, 'ResourceNotFound');
+        request('PUT', '/status', function (err2, code2, body2) {
+            t.ifError(err2);
+            t.equal(code2, 405);
+            t.equal(body2.code, 'BadMethod');
+            t.end();
+        });
+    });
+});
+
+test('dead letters', function (t) {
+    REPL.deadLetters.add({targetdn: 'uuid=1, ou=users, o=smartdc'},
+        function (err, record) {
+        t.ifError(err);
+        request('GET', '/deadletters', function (err2, code, body) {
+            t.ifError(err2);
+            t.equal(code, 200);
+            t.equal(body.length, 1);
+            request('GET', '/deadletters/' + record.id,
+                function (err3, code3, body3) {
+                t.ifError(err3);
+                t.equal(code3, 200);
+                t.equal(body3.targetdn, record.targetdn);
+                request('POST', '/deadletters/' + record.id + '/replay',
+                    function (err4, code4, body4) {
+                    t.ifError(err4);
+                    t.equal(code4, 200);
+                    t.deepEqual(body4, {id: record.id, outcome: 'add'});
+                    request('GET', '/deadletters/' + record.id,
+                        function (err5, code5) {
+                        t.ifError(err5);
+                        t.equal(code5, 404);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('deferred', function (t) {
+    REPL.deferred.add({parent: 'uuid=1, ou=users, o=smartdc'},
+        function (err, record) {
+        t.ifError(err);
+        request('GET', '/deferred', function (err2, code, body) {
+            t.ifError(err2);
+            t.equal(code, 200);
+            t.equal(body[0].parent, record.parent);
+            request('DELETE', '/deferred/' + record.id,
+                function (err3, code3) {
+                t.ifError(err3);
+                t.equal(code3, 200);
+                t.equal(REPL.deferred.list().length, 0);
+                t.end();
+            });
+        });
+    });
+});
+
+test('remotes', function (t) {
+    var path = '/remotes/' + encodeURIComponent('ldap://remote') + '/suspend';
+    request('POST', path, function (err, code, body) {
+        t.ifError(err);
+        t.equal(code, 200);
+        t.equal(body.url, 'ldap://remote');
+        request('POST', '/remotes/missing/suspend', function (err2, code2) {
+            t.ifError(err2);
+            t.equal(code2, 404);
+            t.end();
+        });
+    });
+});
+
+test('malformed path', function (t) {
+    request('POST', '/remotes/%E0/suspend', function (err, code, body) {
+        t.ifError(err);
+        t.equal(code, 400);
+        t.equal(body.code, 'BadRequest');
+        request('GET', '/ping', function (err2, code2) {
+            t.ifError(err2);
+            t.equal(code2, 200, 'still serving');
+            t.end();
+        });
+    });
+});
+
+test('token', function (t) {
+    SERVER.close(function () {
+        listen({token: 'secret'}, function () {
+            REPL.deadLetters.add({}, function (err, record) {
+                t.ifError(err);
+                var path = '/deadletters/' + record.id;
+                request('DELETE', path, function (err2, code) {
+                    t.ifError(err2);
+                    t.equal(code, 403, 'token required');
+                    request('DELETE', path, {
+                        authorization: 'Bearer secret'
+                    }, function (err3, code3) {
+                        t.ifError(err3);
+                        t.equal(code3, 200);
+                        request('GET', '/status', function (err4, code4) {
+                            t.ifError(err4);
+                            t.equal(code4, 200, 'reads stay open');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('teardown', function (t) {
+    SERVER.close(t.end.bind(t));
+});
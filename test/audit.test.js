@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+var bunyan = require('bunyan');
+var ldap = require('ldapjs');
+var test = require('tape').test;
+var Auditor;
+var Query;
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+    name: 'ufds-replicator-tests',
+    level: process.env.LOG_LEVEL || 'warn'
+});
+var USERS = 'ou=users, o=smartdc';
+var USER = 'uuid=a820621a-5007-4a2a-9636-edde809106de, ' + USERS;
+var KEY = 'fingerprint=db:e1:88:bb, ' + USER;
+var REPORT = {
+    url: 'ldap://127.0.0.1:1389',
+    uuid: null,
+    queries: [ {
+        query: '/' + USERS + '??sub?',
+        missing: [ {dn: USER, object: {objectclass: ['sdcperson']}} ],
+        extra: [ {dn: KEY} ],
+        differing: []
+    } ]
+};
+
+
+///--- Helpers
+
+/**
+ * Local client recording the writes made to it.
+ */
+function fakeClient(calls) {
+    function record(op) {
+        return function (dn) {
+            calls.push(op + ' ' + dn);
+            arguments[arguments.length - 1](null);
+        };
+    }
+    return {
+        add: record('add'),
+        modify: record('modify'),
+        del: record('del')
+    };
+}
+
+function auditor(calls) {
+    return new Auditor({
+        log: LOG,
+        client: fakeClient(calls),
+        remote: {
+            identity: {url: REPORT.url}
+        }
+    });
+}
+
+
+///--- Tests
+
+test('load', function (t) {
+    Auditor = require('../lib/index').Auditor;
+    Query = require('../lib/query');
+    t.end();
+});
+
+test('normalize', function (t) {
+    var obj = {
+        dn: USER,
+        objectClass: 'sdcperson',
+        Email: ['b@example.com', 'a@example.com'],
+        uid: 5
+    };
+    t.deepEqual(Auditor.normalize(obj, ['dn']), {
+        objectclass: ['sdcperson'],
+        email: ['a@example.com', 'b@example.com'],
+        uid: ['5']
+    });
+    t.end();
+});
+
+test('diffEntries', function (t) {
+    var local = Auditor.normalize({
+        login: 'unpermixed',
+        email: ['a@example.com', 'b@example.com'],
+        cn: 'local'
+    }, []);
+    var remote = Auditor.normalize({
+        login: 'unpermixed',
+        email: ['b@example.com', 'a@example.com'],
+        sn: 'remote'
+    }, []);
+    t.equal(Auditor.diffEntries(local, local), null, 'equal entries');
+    t.deepEqual(Auditor.diffEntries(local, remote), {
+        cn: {local: ['local'], remote: []},
+        sn: {local: [], remote: ['remote']}
+    }, 'value order is ignored');
+    t.end();
+});
+
+test('repair keeps extra entries', function (t) {
+    var calls = [];
+    auditor(calls).repair(REPORT, function (err, res) {
+        t.ifError(err);
+        t.deepEqual(calls, ['add ' + USER]);
+        t.deepEqual(res, {added: 1, modified: 0, deleted: 0, kept: 1});
+        t.end();
+    });
+});
+
+test('repair deleteExtra', function (t) {
+    var calls = [];
+    auditor(calls).repair(REPORT, {deleteExtra: true}, function (err, res) {
+        t.ifError(err);
+        t.deepEqual(calls, ['add ' + USER, 'del ' + KEY]);
+        t.deepEqual(res, {added: 1, modified: 0, deleted: 1, kept: 0});
+        t.end();
+    });
+});
+
+test('audit compares replicated attributes', function (t) {
+    var query = new Query({
+        url: REPORT.url,
+        query: {
+            query: '/' + USERS + '??one?(login=*)',
+            exclude: ['region'],
+            rename: {login: 'uid'}
+        }
+    });
+    var other = 'uuid=b, ' + USERS;
+    var local = [ {
+        dn: USER,
+        objectclass: 'sdcperson',
+        uid: 'bob',
+        cn: 'Bob',
+        region: 'east',
+        modifytimestamp: '20140101000000Z'
+    }, {
+        dn: other,
+        objectclass: 'sdcperson',
+        uid: 'al',
+        cn: 'Al'
+    } ];
+    var client = {
+        search: function (base, opts, cb) {
+            var filter = ldap.parseFilter(opts.filter.toString());
+            var res = new EventEmitter();
+            cb(null, res);
+            local.forEach(function (obj) {
+                if (filter.matches(obj)) {
+                    res.emit('searchEntry', {object: JSON.parse(
+                        JSON.stringify(obj))});
+                }
+            });
+            res.emit('end');
+        }
+    };
+    var remote = {
+        identity: {url: REPORT.url},
+        queries: [query],
+        search: function (q, result, done) {
+            result(USER, {
+                objectclass: 'sdcperson',
+                login: 'bob',
+                cn: 'Bob',
+                region: 'west'
+            });
+            result(other, {
+                objectclass: 'sdcperson',
+                login: 'al',
+                cn: 'Alan'
+            });
+            done(null);
+        },
+        localDN: function (dn) {
+            return dn;
+        },
+        localEntry: function (obj) {
+            return obj;
+        }
+    };
+
+    var auditor = new Auditor({log: LOG, client: client, remote: remote});
+    auditor.audit(function (err, report) {
+        t.ifError(err);
+        var res = report.queries[0];
+        t.deepEqual(res.missing, [], 'renamed filter attribute matched');
+        t.deepEqual(res.extra, []);
+        t.deepEqual(res.differing, [ {
+            dn: ldap.parseDN(other).toString(),
+            diff: {cn: {local: ['Al'], remote: ['Alan']}}
+        } ], 'excluded and operational attributes not compared');
+        t.end();
+    });
+});
@@ -0,0 +1,142 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var vasync = require('vasync');
+var once = require('once');
+var helper = require('./helper');
+var replicator;
+
+// Bootstrap:
+// - existing entries are copied
+// - checkpoint starts at the remote changenumber
+
+///--- GLOBALS
+var PRIMARY;
+var REPLICA;
+var REPL;
+var CHANGENUM;
+
+
+///--- Tests
+
+test('load', function (t) {
+    replicator = require('../lib/index');
+    t.end();
+});
+
+test('setup', function (t) {
+    helper.setup(function (err, pri, repl) {
+        t.ifError(err);
+        t.ok(pri);
+        t.ok(repl);
+        PRIMARY = pri;
+        REPLICA = repl;
+        t.end();
+    });
+});
+
+test('fixture', function (t) {
+    var user = helper.FIXTURE.USER;
+    var key = helper.FIXTURE.KEY;
+    vasync.pipeline({
+        funcs: [
+            function (_, cb) {
+                PRIMARY.CLIENT.add(user.dn, user.object, cb);
+            },
+            function (_, cb) {
+                PRIMARY.CLIENT.add(key.dn, key.object, cb);
+            },
+            function (_, cb) {
+                helper.lastClog(PRIMARY.CLIENT, function (err, res) {
+                    CHANGENUM = res.changenumber;
+                    cb(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('init replicator', function (t) {
+    var dn = helper.baseConfig.rootDN;
+    var passwd = helper.baseConfig.rootPassword;
+    REPL = new replicator.Replicator({
+        log: helper.LOG.child({component: 'replicator'}),
+        ldapConfig: {
+            url: REPLICA.server.url,
+            bindDN: dn,
+            bindCredentials: passwd
+        }
+    });
+    REPL.addRemote({
+        url: PRIMARY.server.url,
+        bindDN: dn,
+        bindCredentials: passwd,
+        bootstrap: true,
+        queries: [
+            '/ou=users, o=smartdc??sub?' +
+                '(|(objectclass=sdcperson)(objectclass=sdckey))'
+        ]
+    });
+    REPL.once('bootstrap', function (url, num) {
+        t.equal(url, PRIMARY.server.url);
+        t.equal(num, CHANGENUM);
+    });
+    REPL.start();
+    REPL.once('caughtup', t.end.bind(null, null));
+});
+
+test('entries copied', function (t) {
+    vasync.forEachPipeline({
+        inputs: [helper.FIXTURE.USER, helper.FIXTURE.KEY],
+        func: function (item, cb) {
+            cb = once(cb);
+            var opts = {scope: 'base'};
+            REPLICA.CLIENT.search(item.dn, opts, function (err, res) {
+                t.ifError(err);
+                res.once('searchEntry', function (entry) {
+                    t.equal(entry.object.objectclass,
+                        item.object.objectclass);
+                });
+                res.once('error', cb);
+                res.once('end', cb.bind(null, null));
+            });
+        }
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('checkpoint', function (t) {
+    helper.getCheckpoint(REPLICA.CLIENT, PRIMARY.UUID, function (err, res) {
+        t.ifError(err);
+        t.equal(parseInt(res.changenumber, 10), CHANGENUM);
+        t.end();
+    });
+});
+
+test('closeReplicator', function (t) {
+    REPL.destroy();
+    REPL.once('destroy', function () {
+        REPL.on('error', function () {});
+        t.end();
+    });
+});
+
+test('teardown', function (t) {
+    helper.teardown(function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
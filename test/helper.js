@@ -29,6 +29,9 @@ var PRIMARY_CLOG_BUCKET = 'test_ufds_clog_pri';
 
 var REPL_BUCKET = 'test_ufds_repl';
 var REPL_CLOG_BUCKET = 'test_ufds_clog_repl';
+// Adds are only deferred with a file to keep them in
+var REPL_DEFERRED_PATH = '/tmp/ufds-replicator-deferred-test.' + process.pid +
+    '.json';
 
 var UFDS_SKELETON_FILE = process.env.UFDS_SKELETON_FILE ||
     path.join(__dirname, '../data/skeleton.coal.json');
@@ -421,7 +424,8 @@ module.exports = {
                 url: ufdsReplica.server.url,
                 bindDN: dn,
                 bindCredentials: passwd
-            }
+            },
+            deferredPath: REPL_DEFERRED_PATH
         });
 
 
@@ -109,6 +109,25 @@ test('initReplicator', function (t) {
 });
 
 
+test('status', function (t) {
+    var status = REPL.status();
+    t.equal(status.state, 'poll');
+    t.equal(status.queue, 0);
+    t.equal(status.remotes.length, 1);
+
+    var remote = status.remotes[0];
+    t.equal(remote.url, PRIMARY.server.url);
+    t.equal(remote.uuid, PRIMARY.UUID);
+    t.ok(remote.connected);
+    t.ok(remote.checkpoint);
+    t.equal(remote.caughtup, remote.searchnumber);
+    t.equal(remote.state, 'poll');
+    t.equal(remote.queued, 0);
+    t.equal(remote.paused, false);
+    t.end();
+});
+
+
 // Initialization:
 // - equal versions
 // - master is newer
@@ -254,6 +273,88 @@ test('del user/key', function (t) {
     });
 });
 
+test('metrics', function (t) {
+    var text = REPL.metrics.format();
+    ['add', 'modify', 'delete'].forEach(function (type) {
+        var line = 'ufds_replicator_changes_total{remote="' +
+            PRIMARY.server.url + '",changetype="' + type + '",outcome="' +
+            type + '"}';
+        t.ok(text.indexOf(line) !== -1, type + ' counted');
+    });
+    t.ok(text.indexOf('ufds_replicator_queue_length 0') !== -1);
+    t.end();
+});
+
+test('suspend/resume remote', function (t) {
+    var url = PRIMARY.server.url;
+    REPL.suspendRemote(url, function (err) {
+        t.ifError(err);
+        t.equal(REPL.status().remotes[0].state, 'suspended');
+        REPL.resumeRemote(url, function (err2) {
+            t.ifError(err2);
+            t.notEqual(REPL.status().remotes[0].state, 'suspended');
+            waitCaughtUp(null, t.end.bind(null, null));
+        });
+    });
+});
+
+test('reload', function (t) {
+    var url = PRIMARY.server.url;
+    var opts = {
+        url: url,
+        bindDN: helper.baseConfig.rootDN,
+        bindCredentials: helper.baseConfig.rootPassword,
+        queries: ['/ou=users, o=smartdc??one?(objectclass=sdcperson)']
+    };
+    var checkpoint = REPL.status().remotes[0].checkpoint;
+
+    var res = REPL.reload([opts]);
+    t.deepEqual(res.updated, [url]);
+    t.deepEqual(REPL.getRemote(url).rawQueries, opts.queries);
+    t.equal(REPL.status().remotes[0].checkpoint, checkpoint);
+
+    res = REPL.reload([opts]);
+    t.deepEqual(res, {added: [], removed: [], updated: []});
+
+    res = REPL.reload([]);
+    t.deepEqual(res.removed, [url]);
+    t.equal(REPL.remotes.length, 0);
+
+    // Added back, picking up the same checkpoint
+    res = REPL.reload([opts]);
+    t.deepEqual(res.added, [url]);
+    waitCaughtUp(null, function () {
+        t.equal(REPL.status().remotes[0].checkpoint, checkpoint);
+        t.end();
+    });
+});
+
+test('removeRemote', function (t) {
+    var url = PRIMARY.server.url;
+    var checkpoint = REPL.status().remotes[0].checkpoint;
+    var opts = {
+        drain: true,
+        checkpoint: 'delete'
+    };
+    REPL.removeRemote(url, opts, function (err, res) {
+        t.ifError(err);
+        t.equal(res.url, url);
+        t.equal(res.discarded, 0);
+        t.equal(res.checkpoint.dn, checkpoint);
+        t.equal(REPL.remotes.length, 0);
+        REPLICA.CLIENT.search(checkpoint, {scope: 'base'}, function (_, s) {
+            s.once('error', function (sErr) {
+                t.equal(sErr.name, 'NoSuchObjectError');
+                t.end();
+            });
+            s.once('end', function () {
+                t.fail('checkpoint not deleted');
+                t.end();
+            });
+        });
+    });
+});
+
 test('closeReplicator', function (t) {
     REPL.destroy();
     t.end();
@@ -0,0 +1,149 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var Query;
+
+
+///--- Globals
+
+var URL = 'ldap://127.0.0.1:1389';
+var USERS = 'ou=users, o=smartdc';
+var USER = 'uuid=a820621a-5007-4a2a-9636-edde809106de, ' + USERS;
+var KEY = 'fingerprint=db:e1:88:bb, ' + USER;
+
+
+///--- Tests
+
+test('load', function (t) {
+    Query = require('../lib/index').Query;
+    t.end();
+});
+
+test('scope=base', function (t) {
+    var q = new Query({url: URL, query: '/' + USER + '??base?'});
+    t.equal(q.scope, 'base');
+    t.ok(q.inScope(USER));
+    t.notOk(q.inScope(USERS));
+    t.notOk(q.inScope(KEY));
+    t.end();
+});
+
+test('scope=one', function (t) {
+    var q = new Query({url: URL, query: '/' + USERS + '??one?'});
+    t.equal(q.scope, 'one');
+    t.ok(q.inScope(USER));
+    t.notOk(q.inScope(USERS));
+    t.notOk(q.inScope(KEY));
+    t.end();
+});
+
+test('scope=sub', function (t) {
+    var q = new Query({url: URL, query: '/' + USERS + '??sub?'});
+    t.equal(q.scope, 'sub');
+    t.ok(q.inScope(USERS));
+    t.ok(q.inScope(USER));
+    t.ok(q.inScope(KEY));
+    t.notOk(q.inScope('o=smartdc'));
+    t.end();
+});
+
+test('scope=sub includes the base', function (t) {
+    var q = new Query({
+        url: URL,
+        query: '/' + USERS + '??sub?(objectclass=organizationalunit)'
+    });
+    t.ok(q.matches(USERS, {objectclass: ['organizationalunit']}));
+    t.notOk(q.matches(USERS, {objectclass: ['sdcperson']}));
+    t.notOk(q.matches('o=smartdc', {objectclass: ['organizationalunit']}));
+    t.end();
+});
+
+test('default scope', function (t) {
+    var q = new Query({url: URL, query: '/' + USERS});
+    t.equal(q.scope, 'sub');
+    t.end();
+});
+
+test('matches', function (t) {
+    var q = new Query({
+        url: URL,
+        query: '/' + USERS + '??one?(objectclass=sdcperson)'
+    });
+    t.ok(q.matches(USER, {objectclass: ['sdcperson']}));
+    t.notOk(q.matches(USER, {objectclass: ['sdckey']}));
+    t.notOk(q.matches(KEY, {objectclass: ['sdcperson']}));
+    t.end();
+});
+
+test('attribute rules', function (t) {
+    var q = new Query({
+        url: URL,
+        query: {
+            query: '/' + USERS + '??one?(objectclass=sdcperson)',
+            exclude: ['userPassword'],
+            rename: {login: 'remotelogin'},
+            defaults: {region: 'east'}
+        }
+    });
+    t.equal(q.query, '/' + USERS + '??one?(objectclass=sdcperson)');
+    t.ok(q.matches(USER, {objectclass: ['sdcperson']}));
+
+    t.deepEqual(q.transform({
+        objectclass: ['sdcperson'],
+        login: 'bob',
+        userpassword: 'secret'
+    }), {
+        objectclass: ['sdcperson'],
+        remotelogin: 'bob',
+        region: 'east'
+    });
+    t.equal(q.transform({region: 'west'}).region, 'west');
+
+    t.deepEqual(q.transformChanges([
+        {operation: 'replace', modification: {type: 'login', vals: ['al']}},
+        {operation: 'replace', modification: {type: 'userpassword', vals: []}},
+        {operation: 'add', modification: {type: 'cn', vals: ['Al']}}
+    ]), [
+        {operation: 'replace', modification: {type: 'remotelogin',
+            vals: ['al']}},
+        {operation: 'add', modification: {type: 'cn', vals: ['Al']}}
+    ]);
+
+    t.deepEqual(q.toRemote({
+        objectclass: ['sdcperson'],
+        remoteLogin: 'bob'
+    }), {
+        objectclass: ['sdcperson'],
+        login: 'bob'
+    }, 'renames undone');
+
+    t.ok(q.replicates('remoteLogin'));
+    t.ok(q.replicates('cn'));
+    t.notOk(q.replicates('login'), 'replicated under another name');
+    t.notOk(q.replicates('userPassword'), 'excluded');
+    t.end();
+});
+
+test('localBase', function (t) {
+    var q = new Query({
+        url: URL,
+        query: {
+            query: '/' + USERS + '??sub?',
+            localBase: 'ou=users, region=east, o=smartdc'
+        }
+    });
+    t.equal(q.toLocal(USERS).toString(), 'ou=users, region=east, o=smartdc');
+    t.equal(q.toLocal(KEY).toString(), 'fingerprint=db:e1:88:bb, ' +
+        'uuid=a820621a-5007-4a2a-9636-edde809106de, ' +
+        'ou=users, region=east, o=smartdc');
+    t.equal(q.toLocal('o=smartdc').toString(), 'o=smartdc');
+    t.end();
+});
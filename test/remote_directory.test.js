@@ -0,0 +1,261 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+var bunyan = require('bunyan');
+var ldap = require('ldapjs');
+var test = require('tape').test;
+var RemoteDirectory;
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+    name: 'ufds-replicator-tests',
+    level: process.env.LOG_LEVEL || 'warn'
+});
+var URL = 'ldap://127.0.0.1:1389';
+var USERS = 'ou=users, o=smartdc';
+var USER = 'uuid=a820621a-5007-4a2a-9636-edde809106de, ' + USERS;
+
+
+///--- Helpers
+
+/**
+ * Build a RemoteDirectory which is never connected.
+ */
+function remote(queries) {
+    return new RemoteDirectory({
+        log: LOG,
+        ldapConfig: {
+            url: URL,
+            queries: queries
+        }
+    });
+}
+
+function change(changetype, targetdn, changes, changenumber) {
+    return {
+        changenumber: changenumber || '1',
+        changetype: changetype,
+        changetime: new Date().toISOString(),
+        targetdn: targetdn,
+        changes: JSON.stringify(changes || {})
+    };
+}
+
+
+///--- Tests
+
+test('load', function (t) {
+    RemoteDirectory = require('../lib/index').RemoteDirectory;
+    t.end();
+});
+
+test('changes to the query base', function (t) {
+    var dir = remote(['/' + USERS + '??sub?']);
+    var data = dir._parseChange(change('modify', USERS, []));
+    t.equal(data.queries.length, 1, 'sub scope includes the base');
+
+    dir = remote(['/' + USERS + '??one?']);
+    data = dir._parseChange(change('modify', USERS, []));
+    t.equal(data.queries.length, 0, 'one scope excludes the base');
+    data = dir._parseChange(change('delete', USER));
+    t.equal(data.queries.length, 1);
+    t.ok(data.targetdn.equals(ldap.parseDN(USER)));
+    t.end();
+});
+
+test('persistent search ended by the server is reopened', function (t) {
+    var dir = remote(['/' + USERS + '??sub?']);
+    var searches = 0;
+    dir.client = {
+        connected: true,
+        destroyed: false,
+        search: function (base, opts, ctrls, cb) {
+            var res = new EventEmitter();
+            searches++;
+            cb(null, res);
+            if (searches === 1) {
+                res.emit('end');
+            }
+        }
+    };
+    dir._watchChanges();
+    t.equal(dir.watching, false, 'search ended');
+    dir.once('watch', function () {
+        t.equal(searches, 2);
+        t.equal(dir.watching, true, 'search reopened');
+        dir._unwatchChanges();
+        t.end();
+    });
+});
+
+test('changelogFilter poll', function (t) {
+    var dir = remote(['/' + USERS + '??sub?']);
+    var searches = [];
+    var found = [];
+    // The server also returns a change it should have filtered out
+    var clog = [
+        change('modify', 'cn=a, ou=groups, o=smartdc', [], '5'),
+        change('modify', USER, [], '7'),
+        change('modify', 'cn=b, ou=groups, o=smartdc', [], '8'),
+        change('modify', 'cn=c, ou=groups, o=smartdc', [], '9')
+    ];
+    dir.changelogFilter = true;
+    dir.client = {
+        search: function (base, opts, ctrls, cb) {
+            var res = new EventEmitter();
+            var entries = clog;
+            if (typeof (ctrls) === 'function') {
+                cb = ctrls;
+                searches.push(opts.filter.toString());
+            } else {
+                // Newest changenumber lookup
+                searches.push('latest');
+                entries = clog.slice(-1);
+            }
+            cb(null, res);
+            entries.forEach(function (entry) {
+                res.emit('searchEntry', {object: entry});
+            });
+            res.emit('end');
+        }
+    };
+
+    dir.latest = 9;
+    dir.poll(5, 20, found.push.bind(found), function (last, first) {
+        t.equal(searches.length, 1, 'newest changenumber not looked up');
+        t.ok(/targetdn=\*ou=users, o=smartdc/.test(searches[0]));
+        t.ok(/changenumber=9/.test(searches[0]), 'range ends at newest');
+        t.deepEqual(found.map(function (data) {
+            return data.changenumber;
+        }), ['7'], 'changes still matched against the queries');
+        t.equal(first, 5);
+        t.equal(last, 9, 'last change returned');
+
+        dir.poll(10, 20, found.push.bind(found), function (last2) {
+            t.deepEqual(searches.slice(1), ['latest']);
+            t.equal(last2, 0, 'nothing newer');
+            t.end();
+        });
+    });
+});
+
+test('hint path', function (t) {
+    var origin = RemoteDirectory.changeOrigin({
+        hint: JSON.stringify({uuid: 'a,b', changenumber: 3})
+    });
+    t.deepEqual(origin.path, ['a', 'b']);
+    t.equal(origin.uuid, 'b', 'replicated from the last');
+    t.equal(RemoteDirectory.hintPath(origin, 'c'), 'a,b,c');
+    t.equal(RemoteDirectory.hintPath(null, 'c'), 'c');
+
+    var dir = new RemoteDirectory({
+        log: LOG,
+        ldapConfig: {
+            url: URL,
+            queries: ['/' + USERS + '??sub?']
+        },
+        ignoreOrigins: ['a']
+    });
+    var looped = [];
+    dir.on('looped', looped.push.bind(looped));
+    var data = change('modify', USER, []);
+    data.hint = JSON.stringify({uuid: 'a,b', changenumber: 3});
+    data = dir._parseChange(data);
+    t.equal(data.queries.length, 0, 'ring back to an ignored origin');
+    t.equal(looped.length, 1);
+    t.end();
+});
+
+test('renames', function (t) {
+    var dir = remote(['/' + USERS + '??one?']);
+    var errors = [];
+    dir.on('error', errors.push.bind(errors));
+
+    var data = dir._parseChange(change('modrdn', USER, {
+        newrdn: 'uuid=b', deleteoldrdn: true
+    }));
+    t.ok(data.newdn.equals(ldap.parseDN('uuid=b, ' + USERS)));
+    t.equal(data.queries.length, 1, 'renamed within the query');
+
+    data = dir._parseChange(change('moddn', 'uuid=b, ou=groups, o=smartdc', {
+        newdn: USER
+    }));
+    t.equal(data.queries.length, 1, 'renamed into the query');
+
+    data = dir._parseChange(change('moddn', USER, {
+        newrdn: 'uuid=b', newsuperior: 'ou=groups, o=smartdc'
+    }));
+    t.equal(data.queries.length, 1, 'renamed out of the query');
+
+    data = dir._parseChange(change('modrdn', USER, {deleteoldrdn: true}));
+    t.notOk(data.newdn);
+    t.equal(data.queries.length, 0, 'rename without a new DN dropped');
+    t.equal(errors.length, 0);
+    t.end();
+});
+
+test('local DNs', function (t) {
+    var east = 'ou=users, region=east, o=smartdc';
+    var groups = 'ou=groups, o=smartdc';
+    var dir = remote([
+        {query: '/' + USERS + '??sub?', localBase: east},
+        {query: '/' + USER + '??sub?', localBase: 'cn=admin, o=smartdc'},
+        '/' + groups + '??sub?'
+    ]);
+
+    t.equal(dir.localDN(USER), 'cn=admin, o=smartdc',
+        'most specific base applies');
+    t.equal(dir.localDN('fingerprint=aa, ' + USER),
+        'fingerprint=aa, cn=admin, o=smartdc');
+    t.equal(dir.localDN('uuid=b, ' + USERS), 'uuid=b, ' + east);
+    t.equal(dir.localDN(ldap.parseDN('cn=x, ' + groups)), 'cn=x, ' + groups,
+        'unmapped base kept');
+
+    t.deepEqual(dir.localEntry({
+        objectclass: ['groupofuniquenames'],
+        uniquemember: ['uuid=b, ' + USERS, 'cn=x, ' + groups],
+        member: 'uuid=b, ' + USERS,
+        owner: 'bob',
+        memberOf: ['uuid=c, ' + USERS],
+        description: 'uuid=b, ' + USERS
+    }), {
+        objectclass: ['groupofuniquenames'],
+        uniquemember: ['uuid=b, ' + east, 'cn=x, ' + groups],
+        member: 'uuid=b, ' + east,
+        owner: 'bob',
+        memberOf: ['uuid=c, ' + east],
+        description: 'uuid=b, ' + USERS
+    }, 'DN-valued attributes mapped');
+
+    t.deepEqual(dir.localChanges([
+        {operation: 'add', modification: {
+            type: 'uniqueMember', vals: ['uuid=b, ' + USERS]}},
+        {operation: 'delete', modification: {
+            type: 'owner', vals: [USER]}},
+        {operation: 'replace', modification: {
+            type: 'cn', vals: ['uuid=b, ' + USERS]}}
+    ]), [
+        {operation: 'add', modification: {
+            type: 'uniqueMember', vals: ['uuid=b, ' + east]}},
+        {operation: 'delete', modification: {
+            type: 'owner', vals: ['cn=admin, o=smartdc']}},
+        {operation: 'replace', modification: {
+            type: 'cn', vals: ['uuid=b, ' + USERS]}}
+    ], 'DN-valued changes mapped');
+
+    dir = remote(['/' + USERS + '??sub?']);
+    t.equal(dir.localDN(USER), USER, 'nothing mapped without a localBase');
+    t.deepEqual(dir.localEntry({member: [USER]}), {member: [USER]});
+    t.end();
+});
@@ -0,0 +1,1150 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+
+var bunyan = require('bunyan');
+var ldap = require('ldapjs');
+var test = require('tape').test;
+var vasync = require('vasync');
+var Replicator;
+var RecordStore;
+
+
+///--- Globals
+
+// Nothing listens here: these tests exercise the replicator's bookkeeping
+// without any directory to talk to.
+var URL = 'ldap://127.0.0.1:1';
+var LOG = bunyan.createLogger({
+    name: 'ufds-replicator-tests',
+    level: process.env.LOG_LEVEL || 'fatal'
+});
+var DEADLETTERS = '/tmp/ufds-replicator-deadletters-test.' + process.pid +
+    '.json';
+var STATES = '/tmp/ufds-replicator-states-test.' + process.pid + '.json';
+var REPL;
+var REMOTE;
+
+
+///--- Helpers
+
+/**
+ * Apply a failing change from REMOTE until it is given up on, with writes to
+ * the local UFDS stubbed out.  The callback receives the checkpoints written
+ * once the checkpoint has been moved or replication has stopped.
+ */
+function failChange(changenumber, cb) {
+    var written = [];
+    REPL.retryDelay = 1;
+    REPL._apply = function (entry, done) {
+        done(new Error('boom'));
+    };
+    REPL._checkpointWrite = function (remote, cn, done) {
+        written.push(cn);
+        done(null);
+        restore();
+    };
+    REPL._poll = function () {};
+    REPL._state = 'process';
+    REMOTE.checkpoint = 'uuid=1, o=smartdc';
+
+    function restore() {
+        REPL.removeListener('error', restore);
+        delete REPL._apply;
+        delete REPL._checkpointWrite;
+        delete REPL._poll;
+        REPL._current = null;
+        REPL._state = 'init';
+        cb(written);
+    }
+    REPL.on('error', restore);
+    REMOTE.queue.push({
+        remote: REMOTE,
+        change: {
+            changenumber: changenumber,
+            changetype: 'delete',
+            targetdn: 'uuid=1, ou=users, o=smartdc'
+        }
+    });
+    REPL._process();
+}
+
+
+///--- Tests
+
+test('load', function (t) {
+    Replicator = require('../lib/index').Replicator;
+    RecordStore = require('../lib/store');
+    REPL = new Replicator({
+        log: LOG,
+        ldapConfig: {
+            url: URL,
+            bindDN: 'cn=root',
+            bindCredentials: 'secret'
+        }
+    });
+    REPL.addRemote({
+        url: URL,
+        queries: ['/ou=users, o=smartdc??sub?(objectclass=sdcperson)']
+    });
+    REMOTE = REPL._remotes[URL];
+    t.ok(REMOTE);
+    REMOTE.initialized = true;
+    t.end();
+});
+
+test('lag', function (t) {
+    var scanned = new Date(Date.now() - 60000).toISOString();
+    REMOTE.searchnumber = 10;
+    REMOTE.connection.changetime = scanned;
+
+    REPL._updateLag(URL, 15);
+    var lag = REPL.status().remotes[0].lag;
+    t.equal(lag.latest, 15);
+    t.equal(lag.changes, 5);
+    t.ok(lag.seconds >= 60 && lag.seconds < 70,
+        'seconds since the last scanned change');
+
+    REMOTE.searchnumber = 15;
+    REPL._updateLag(URL, 15);
+    lag = REPL.status().remotes[0].lag;
+    t.equal(lag.changes, 0);
+    t.equal(lag.seconds, 0, 'no lag once caught up');
+
+    REMOTE.queue.push({remote: REMOTE, change: {changenumber: 15}});
+    REPL._updateLag(URL, 15);
+    t.ok(REPL.status().remotes[0].lag.seconds >= 60,
+        'lag while changes are still queued');
+    REMOTE.queue = [];
+    t.end();
+});
+
+test('gap', function (t) {
+    var gap = {start: 11, end: 20};
+    REPL.once('gap', function (url, found) {
+        t.equal(url, URL);
+        t.deepEqual(found, gap);
+    });
+    REPL._handleGap(REMOTE, gap);
+    t.equal(REPL.status().remotes[0].state, 'gap');
+    t.deepEqual(REPL._storedState(REMOTE).gap, gap, 'gap stored');
+
+    // Restored while the checkpoint still falls in the gap
+    REMOTE.gap = null;
+    REMOTE.searchnumber = 10;
+    REPL._restoreGap(REMOTE);
+    t.deepEqual(REMOTE.gap, gap, 'gap restored');
+
+    // Cleared once the checkpoint has been moved past it
+    REMOTE.gap = null;
+    REMOTE.searchnumber = 20;
+    REPL._restoreGap(REMOTE);
+    t.equal(REMOTE.gap, null);
+    t.equal(REPL._storedState(REMOTE).gap, null, 'gap cleared');
+    t.end();
+});
+
+test('resync', function (t) {
+    var steps = [];
+    REMOTE.resyncOnGap = true;
+    REMOTE.queue.push({remote: REMOTE, change: {changenumber: 11}});
+    REPL._bootstrap = function (remote, cb) {
+        steps.push('bootstrap');
+        remote.searchnumber = 30;
+        cb(null);
+    };
+    REPL._pruneLocal = function (remote, cb) {
+        steps.push('prune');
+        cb(null);
+    };
+    REPL.once('resync', function (url, changenumber) {
+        t.deepEqual(steps, ['bootstrap', 'prune']);
+        t.equal(changenumber, 30);
+        t.equal(REMOTE.gap, null);
+        t.equal(REMOTE.queue.length, 0, 'queued changes dropped');
+        t.equal(REPL._storedState(REMOTE).gap, null, 'gap cleared');
+        delete REPL._bootstrap;
+        delete REPL._pruneLocal;
+        REMOTE.resyncOnGap = false;
+        t.end();
+    });
+    REPL._handleGap(REMOTE, {start: 11, end: 20});
+});
+
+test('suspend without statePath', function (t) {
+    REPL.suspendRemote(URL, function (err) {
+        t.ok(err, 'refused');
+        t.equal(REMOTE.suspended, false);
+        t.end();
+    });
+});
+
+test('suspend', function (t) {
+    REPL.remoteStates.path = STATES;
+    REPL.suspendRemote(URL, function (err) {
+        t.ifError(err);
+        t.equal(REPL.status().remotes[0].state, 'suspended');
+        t.equal(REPL._storedState(REMOTE).suspended, true, 'stored');
+
+        // Restored along with the checkpoint
+        REMOTE.suspended = false;
+        REPL._checkpointGet = function (ident, cb) {
+            cb(null, {dn: 'uuid=1, o=smartdc', changenumber: '20'});
+        };
+        REPL._checkpointInit(REMOTE, function (err2) {
+            t.ifError(err2);
+            t.equal(REMOTE.suspended, true, 'suspension restored');
+            delete REPL._checkpointGet;
+            REPL.resumeRemote(URL, function (err3) {
+                t.ifError(err3);
+                t.equal(REMOTE.suspended, false);
+                t.equal(REPL._storedState(REMOTE).suspended, false);
+                REPL.remoteStates.path = null;
+                fs.unlink(STATES, function () {
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('pushed changes', function (t) {
+    var polls = 0;
+    var poll = REMOTE.connection.poll;
+    REMOTE.connection.poll = function () {
+        polls++;
+    };
+    REMOTE.connection.watching = true;
+    REPL._checkpointScanned = function () {};
+    REPL._state = 'poll';
+
+    REMOTE.caughtup = REMOTE.searchnumber;
+    REPL._pushChange(REMOTE, {
+        changenumber: String(REMOTE.searchnumber + 1),
+        queries: []
+    });
+    REPL._poll();
+    t.equal(polls, 0, 'no poll while the search keeps up');
+
+    REPL._pushChange(REMOTE, {
+        changenumber: String(REMOTE.searchnumber + 2),
+        queries: []
+    });
+    t.equal(polls, 1, 'poll for the missed change');
+
+    REMOTE.connection.poll = poll;
+    REMOTE.connection.watching = false;
+    delete REPL._checkpointScanned;
+    clearTimeout(REPL._timer);
+    REPL._timer = null;
+    REPL._state = 'init';
+    t.end();
+});
+
+test('scanned checkpoint', function (t) {
+    var pending = null;
+    var applied = [];
+    REPL._checkpointWrite = function (remote, changenumber, cb) {
+        pending = function () {
+            REPL._checkpointed(remote, changenumber);
+            cb(null);
+        };
+    };
+    REPL._apply = function (entry, cb) {
+        applied.push(entry.change.changenumber);
+        REPL._checkpointed(REMOTE, parseInt(entry.change.changenumber, 10));
+        cb(null, 'modify');
+    };
+    REPL._poll = function () {};
+    REPL._state = 'process';
+    REMOTE.checkpoint = 'uuid=1, o=smartdc';
+    REMOTE.checkpointed = 10;
+    REMOTE.searchnumber = 20;
+    REMOTE.scannedTime = 0;
+
+    REPL._checkpointScanned(REMOTE);
+    t.ok(pending, 'scanned changenumber being stored');
+    REMOTE.queue.push({
+        remote: REMOTE,
+        change: {
+            changenumber: '21',
+            changetype: 'modify',
+            targetdn: 'uuid=1, ou=users, o=smartdc'
+        }
+    });
+    REPL._process();
+    t.deepEqual(applied, [], 'change waits for the checkpoint write');
+
+    pending();
+    setImmediate(function () {
+        t.deepEqual(applied, ['21'], 'change applied after the write');
+        t.equal(REMOTE.checkpointed, 21);
+        REPL._checkpointed(REMOTE, 20);
+        t.equal(REMOTE.checkpointed, 21, 'checkpoint only moves forward');
+        delete REPL._checkpointWrite;
+        delete REPL._apply;
+        delete REPL._poll;
+        REPL._state = 'init';
+        t.end();
+    });
+});
+
+test('targetChanges', function (t) {
+    var old = {
+        dn: 'cn=operators, ou=groups, o=smartdc',
+        cn: 'operators',
+        description: 'Ops',
+        uniquemember: ['uuid=1', 'uuid=2']
+    };
+    function change(operation, type, vals) {
+        return {
+            operation: operation,
+            modification: {type: type, vals: vals}
+        };
+    }
+    var targetChanges = Replicator.targetChanges;
+
+    t.deepEqual(targetChanges(old, [
+        change('add', 'uniquemember', ['uuid=2', 'uuid=3', 'uuid=3']),
+        change('delete', 'uniquemember', ['uuid=1', 'uuid=4'])
+    ]), [
+        change('add', 'uniquemember', ['uuid=3']),
+        change('delete', 'uniquemember', ['uuid=1'])
+    ], 'values filtered against the local entry');
+
+    t.deepEqual(targetChanges(old, [
+        change('add', 'uniqueMember', ['uuid=1']),
+        change('delete', 'uniquemember', ['uuid=4']),
+        change('replace', 'description', ['Ops']),
+        change('delete', 'mail', [])
+    ]), [], 'already applied');
+
+    t.deepEqual(targetChanges(old, [
+        change('delete', 'description', []),
+        change('add', 'description', ['Operators']),
+        change('replace', 'cn', ['ops'])
+    ]), [
+        change('delete', 'description', []),
+        change('add', 'description', ['Operators']),
+        change('replace', 'cn', ['ops'])
+    ], 'earlier changes taken into account');
+
+    t.deepEqual(targetChanges(old, [
+        change('delete', 'uniquemember', ['uuid=1', 'uuid=2']),
+        change('delete', 'uniquemember', []),
+        change('replace', 'mail', [])
+    ]), [
+        change('delete', 'uniquemember', ['uuid=1', 'uuid=2'])
+    ], 'deleting from a removed attribute');
+    t.end();
+});
+
+test('modify of a renamed attribute', function (t) {
+    var url = 'ldap://127.0.0.1:3';
+    var dn = 'uuid=1, ou=users, o=smartdc';
+    var client = REPL.client;
+    var written = null;
+    REPL.addRemote({
+        url: url,
+        queries: [ {
+            query: '/ou=users, o=smartdc??sub?(login=*)',
+            rename: {login: 'uid', email: 'mail'}
+        } ]
+    });
+    var remote = REPL._remotes[url];
+    var change = remote.connection._parseChange({
+        changenumber: '5',
+        changetype: 'modify',
+        changetime: new Date().toISOString(),
+        targetdn: dn,
+        changes: JSON.stringify([ {
+            operation: 'replace',
+            modification: {type: 'email', vals: ['bob@example.com']}
+        } ])
+    });
+    REPL.client = {
+        search: function (base, opts, cb) {
+            var res = new EventEmitter();
+            cb(null, res);
+            res.emit('searchEntry', {
+                object: {dn: dn, objectclass: ['sdcperson'], uid: 'bob'}
+            });
+        },
+        modify: function (target, changes, ctrls, cb) {
+            written = changes;
+            cb(null);
+        }
+    };
+    REPL._processModify({
+        remote: remote,
+        change: change,
+        controls: []
+    }, function (err, outcome) {
+        t.ifError(err);
+        t.equal(outcome, 'modify', 'local entry matched by its remote names');
+        t.equal(written[0].modification.type, 'mail');
+        REPL.client = client;
+        REPL.removeRemote(url, {checkpoint: 'keep'}, function () {
+            t.end();
+        });
+    });
+});
+
+test('modify and delete under a localBase', function (t) {
+    var url = 'ldap://127.0.0.1:3';
+    var dn = 'uuid=1, ou=users, o=smartdc';
+    var east = 'ou=users, region=east, o=smartdc';
+    var client = REPL.client;
+    var searched = [];
+    var written = [];
+    REPL.addRemote({
+        url: url,
+        queries: [ {
+            query: '/ou=users, o=smartdc??sub?(objectclass=sdcperson)',
+            localBase: east
+        } ]
+    });
+    var remote = REPL._remotes[url];
+    REPL.client = {
+        search: function (base, opts, cb) {
+            searched.push(base);
+            var res = new EventEmitter();
+            cb(null, res);
+            res.emit('searchEntry', {
+                object: {dn: base, objectclass: ['sdcperson'], cn: 'bob'}
+            });
+        },
+        modify: function (target, changes, ctrls, cb) {
+            written.push({target: target, changes: changes});
+            cb(null);
+        },
+        del: function (target, ctrls, cb) {
+            written.push({target: target});
+            cb(null);
+        }
+    };
+
+    function apply(changetype, changes, cb) {
+        REPL._apply({
+            remote: remote,
+            change: remote.connection._parseChange({
+                changenumber: '5',
+                changetype: changetype,
+                changetime: new Date().toISOString(),
+                targetdn: dn,
+                changes: JSON.stringify(changes)
+            }),
+            controls: []
+        }, cb);
+    }
+
+    apply('modify', [ {
+        operation: 'add',
+        modification: {type: 'memberof', vals: ['uuid=2, ou=users, o=smartdc']}
+    } ], function (err, outcome) {
+        t.ifError(err);
+        t.equal(outcome, 'modify');
+        t.equal(written[0].target, 'uuid=1, ' + east, 'local entry modified');
+        t.deepEqual(written[0].changes[0].modification.vals,
+            ['uuid=2, ' + east], 'DN-valued attribute mapped');
+        apply('delete', {}, function (err2, outcome2) {
+            t.ifError(err2);
+            t.equal(outcome2, 'delete');
+            t.equal(written[1].target, 'uuid=1, ' + east,
+                'local entry deleted');
+            t.deepEqual(searched, ['uuid=1, ' + east, 'uuid=1, ' + east],
+                'local entry looked up at its local DN');
+            REPL.client = client;
+            REPL.removeRemote(url, {checkpoint: 'keep'}, function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('modify bringing an entry into the queries', function (t) {
+    var url = 'ldap://127.0.0.1:3';
+    var dn = 'uuid=1, ou=users, o=smartdc';
+    var client = REPL.client;
+    var local = null;
+    var written = [];
+    REPL.addRemote({
+        url: url,
+        queries: [ {
+            query: '/ou=users, o=smartdc??sub?(login=*)',
+            exclude: ['userpassword']
+        } ]
+    });
+    var remote = REPL._remotes[url];
+    var change = remote.connection._parseChange({
+        changenumber: '5',
+        changetype: 'modify',
+        changetime: new Date().toISOString(),
+        targetdn: dn,
+        changes: JSON.stringify([ {
+            operation: 'add',
+            modification: {type: 'login', vals: ['bob']}
+        } ])
+    });
+    remote.connection.get = function (target, cb) {
+        cb(null, {
+            objectclass: ['sdcperson'],
+            login: 'bob',
+            cn: 'Bob',
+            userpassword: 'secret',
+            modifytimestamp: '20140101000000Z'
+        });
+    };
+    REPL.client = {
+        search: function (base, opts, cb) {
+            var res = new EventEmitter();
+            cb(null, res);
+            if (local) {
+                res.emit('searchEntry', {object: local});
+            } else {
+                res.emit('error', {name: 'NoSuchObjectError'});
+            }
+        },
+        add: function (target, attrs, ctrls, cb) {
+            written.push(attrs);
+            cb(null);
+        },
+        modify: function (target, changes, ctrls, cb) {
+            written.push(changes);
+            cb(null);
+        }
+    };
+
+    function processModify(cb) {
+        REPL._processModify({
+            remote: remote,
+            change: change,
+            controls: []
+        }, cb);
+    }
+
+    processModify(function (err, outcome) {
+        t.ifError(err);
+        t.equal(outcome, 'modify-add', 'missing entry fetched and added');
+        t.equal(written[0].cn, 'Bob');
+        t.notOk(written[0].userpassword, 'excluded attribute not added');
+
+        local = {
+            dn: dn,
+            objectclass: ['sdcperson'],
+            cn: 'Robert',
+            sn: 'Local',
+            userpassword: 'local',
+            createtimestamp: '20130101000000Z'
+        };
+        processModify(function (err2, outcome2) {
+            t.ifError(err2);
+            t.equal(outcome2, 'modify', 'local entry brought up to date');
+            t.deepEqual(written[1], [ {
+                operation: 'replace',
+                modification: {type: 'login', vals: ['bob']}
+            }, {
+                operation: 'replace',
+                modification: {type: 'cn', vals: ['Bob']}
+            }, {
+                operation: 'delete',
+                modification: {type: 'sn', vals: []}
+            } ], 'excluded and operational attributes left alone');
+            REPL.client = client;
+            REPL.removeRemote(url, {checkpoint: 'keep'}, function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('renames', function (t) {
+    var url = 'ldap://127.0.0.1:3';
+    var users = 'ou=users, o=smartdc';
+    var client = REPL.client;
+    var local = null;
+    var written = [];
+    var renameErr = null;
+    REPL.addRemote({
+        url: url,
+        queries: [ {
+            query: '/' + users + '??one?(login=*)',
+            rename: {login: 'uid'}
+        } ]
+    });
+    var remote = REPL._remotes[url];
+    remote.connection.get = function (target, cb) {
+        cb(null, {objectclass: ['sdcperson'], login: 'bob'});
+    };
+    REPL.client = {
+        search: function (base, opts, cb) {
+            var res = new EventEmitter();
+            cb(null, res);
+            if (local) {
+                res.emit('searchEntry', {object: local});
+            } else {
+                res.emit('error', {name: 'NoSuchObjectError'});
+            }
+        },
+        modifyDN: function (target, newdn, ctrls, cb) {
+            written.push('modifyDN ' + target + ' ' + newdn);
+            cb(renameErr);
+        },
+        del: function (target, ctrls, cb) {
+            written.push('del ' + target);
+            cb(null);
+        },
+        add: function (target, attrs, ctrls, cb) {
+            written.push('add ' + target);
+            cb(null);
+        }
+    };
+
+    function rename(targetdn, newdn, cb) {
+        REPL._processRename({
+            remote: remote,
+            change: remote.connection._parseChange({
+                changenumber: '5',
+                changetype: 'moddn',
+                changetime: new Date().toISOString(),
+                targetdn: targetdn,
+                changes: JSON.stringify({newdn: newdn})
+            }),
+            controls: []
+        }, cb);
+    }
+
+    var outside = 'uuid=1, ou=groups, o=smartdc';
+    var before = 'uuid=1, ' + users;
+    var after = 'uuid=2, ' + users;
+    vasync.pipeline({funcs: [
+        function within(_, cb) {
+            local = {dn: before, objectclass: ['sdcperson'], uid: 'bob'};
+            rename(before, after, function (err, outcome) {
+                t.ifError(err);
+                t.equal(outcome, 'rename', 'local entry matched by its ' +
+                    'remote names');
+                cb();
+            });
+        },
+        function nonLeaf(_, cb) {
+            renameErr = {name: 'NotAllowedOnNonLeafError'};
+            rename(before, after, function (err, outcome) {
+                t.equal(err.name, 'NotAllowedOnNonLeafError', 'not skipped');
+                t.notOk(outcome);
+                renameErr = null;
+                cb();
+            });
+        },
+        function out(_, cb) {
+            rename(before, outside, function (err, outcome) {
+                t.ifError(err);
+                t.equal(outcome, 'rename-delete');
+                cb();
+            });
+        },
+        function into(_, cb) {
+            local = null;
+            rename(outside, after, function (err, outcome) {
+                t.ifError(err);
+                t.equal(outcome, 'rename-add');
+                cb();
+            });
+        },
+        function conflict(_, cb) {
+            var checked = [];
+            REPL._resolveConflict = function (entry, dn, done) {
+                checked.push(dn);
+                done(null, dn !== after);
+            };
+            local = {dn: before, objectclass: ['sdcperson'], uid: 'bob'};
+            rename(before, after, function (err, outcome) {
+                t.ifError(err);
+                t.equal(outcome, 'conflict', 'kept for the new DN');
+                t.deepEqual(checked, [before, after]);
+                delete REPL._resolveConflict;
+                cb();
+            });
+        }
+    ]}, function () {
+        t.deepEqual(written, [
+            'modifyDN uuid=1, ' + users + ' uuid=2, ' + users,
+            'modifyDN uuid=1, ' + users + ' uuid=2, ' + users,
+            'del uuid=1, ' + users,
+            'add uuid=2, ' + users
+        ], 'nothing written for the conflict');
+        REPL.client = client;
+        REPL.removeRemote(url, {checkpoint: 'keep'}, function () {
+            t.end();
+        });
+    });
+});
+
+test('recursive delete', function (t) {
+    var url = 'ldap://127.0.0.1:3';
+    var parent = 'uuid=1, ou=users, o=smartdc';
+    var child = 'uuid=2, ' + parent;
+    var grandchild = 'uuid=3, ' + child;
+    var other = 'cn=other, ' + parent;
+    var client = REPL.client;
+    var local = {};
+    var deleted = [];
+    REPL.addRemote({
+        url: url,
+        queries: [ {
+            query: '/ou=users, o=smartdc??sub?(login=*)',
+            rename: {login: 'uid'}
+        } ],
+        recursiveDelete: true
+    });
+    var remote = REPL._remotes[url];
+    REPL.client = {
+        search: function (base, opts, cb) {
+            var res = new EventEmitter();
+            cb(null, res);
+            Object.keys(local).forEach(function (dn) {
+                if (dn === String(base) || (opts.scope === 'sub' &&
+                    dn.indexOf(', ' + base) !== -1)) {
+                    res.emit('searchEntry', {object: local[dn]});
+                }
+            });
+            res.emit('end');
+        },
+        del: function (target, ctrls, cb) {
+            target = String(target);
+            var children = Object.keys(local).filter(function (dn) {
+                return (dn.indexOf(', ' + target) !== -1);
+            });
+            if (children.length > 0) {
+                cb({name: 'NotAllowedOnNonLeafError'});
+                return;
+            }
+            delete local[target];
+            deleted.push(target);
+            cb(null);
+        }
+    };
+
+    function add(dn, uid) {
+        local[dn] = {dn: dn, objectclass: ['sdcperson']};
+        if (uid) {
+            local[dn].uid = uid;
+        }
+    }
+    function processDel(cb) {
+        REPL._processDel({
+            remote: remote,
+            change: remote.connection._parseChange({
+                changenumber: '5',
+                changetype: 'delete',
+                changetime: new Date().toISOString(),
+                targetdn: parent,
+                changes: '{}'
+            }),
+            controls: []
+        }, cb);
+    }
+    function counted() {
+        return REPL.metrics.format().split('\n').filter(function (line) {
+            return (/^ufds_replicator_descendants_deleted_total/.test(line));
+        });
+    }
+
+    add(parent, 'bob');
+    add(child, 'sub');
+    add(grandchild, 'subsub');
+    processDel(function (err, outcome) {
+        t.ifError(err);
+        t.equal(outcome, 'delete-recursive');
+        t.deepEqual(deleted, [grandchild, child, parent], 'deepest first');
+        t.ok(/ 2$/.test(counted()[0]), 'descendants counted');
+
+        deleted = [];
+        add(parent, 'bob');
+        add(child, 'sub');
+        add(other);
+        processDel(function (err2, outcome2) {
+            t.ifError(err2);
+            t.equal(outcome2, 'non-leaf');
+            t.deepEqual(deleted, [], 'nothing deleted for an ' +
+                'unreplicated child');
+            t.ok(local[child] && local[other]);
+            t.ok(/ 2$/.test(counted()[0]));
+
+            // A descendant written locally since is kept by the policy
+            delete local[other];
+            REPL._resolveConflict = function (e, dn, cb) {
+                cb(null, String(dn) !== child);
+            };
+            processDel(function (err3, outcome3) {
+                t.ifError(err3);
+                t.equal(outcome3, 'non-leaf');
+                t.deepEqual(deleted, [], 'nothing deleted for a conflict');
+                delete REPL._resolveConflict;
+                REPL.client = client;
+                REPL.removeRemote(url, {checkpoint: 'keep'}, function () {
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('deferred adds', function (t) {
+    var dn = 'uuid=1, ou=users, o=smartdc';
+    var key = 'fingerprint=ab, ' + dn;
+    var client = REPL.client;
+    var replayed = [];
+    var notFound = {name: 'NoSuchObjectError'};
+
+    function record(targetdn, cb) {
+        REPL.deferred.add({
+            remote: URL,
+            changenumber: 3,
+            changetype: 'add',
+            targetdn: targetdn,
+            parent: dn,
+            expires: new Date(Date.now() + 60000).toISOString(),
+            change: {changetype: 'add', targetdn: targetdn}
+        }, cb);
+    }
+    function targets() {
+        return REPL.deferred.list().map(function (r) {
+            return r.targetdn;
+        });
+    }
+    function swept(cb) {
+        if (REPL._expiring) {
+            setImmediate(swept, cb);
+        } else {
+            cb();
+        }
+    }
+
+    vasync.pipeline({funcs: [
+        function noPath(_, cb) {
+            REPL._missingParent({
+                remote: REMOTE,
+                change: {targetdn: ldap.parseDN(key)}
+            }, key, notFound, function (err) {
+                t.equal(err, notFound, 'not deferred without deferredPath');
+                t.equal(REPL.deferred.list().length, 0);
+                cb();
+            });
+        },
+        function superseded(_, cb) {
+            record(key, function () {
+                record('fingerprint=cd, ' + dn, function () {
+                    REPL._processDel = function (entry, done) {
+                        done(null, 'ignore');
+                    };
+                    REPL._apply({
+                        remote: REMOTE,
+                        change: {
+                            changetype: 'delete',
+                            targetdn: ldap.parseDN(
+                                'fingerprint=ab,uuid=1,ou=users,o=smartdc')
+                        }
+                    }, function (err, outcome) {
+                        t.ifError(err);
+                        t.equal(outcome, 'ignore');
+                        t.deepEqual(targets(), ['fingerprint=cd, ' + dn],
+                            'stale add dropped');
+                        delete REPL._processDel;
+                        cb();
+                    });
+                });
+            });
+        },
+        function parentMissing(_, cb) {
+            REPL.client = {
+                search: function (base, opts, done) {
+                    var res = new EventEmitter();
+                    done(null, res);
+                    res.emit('error', notFound);
+                }
+            };
+            REPL._replay = function (r, done) {
+                replayed.push(r.targetdn);
+                done(null, 'add');
+            };
+            REPL._state = 'poll';
+            REPL._expireDeferred();
+            swept(function () {
+                t.deepEqual(replayed, [], 'still waiting');
+                t.equal(REPL.deferred.list().length, 1);
+                cb();
+            });
+        },
+        function parentCreated(_, cb) {
+            REPL.client.search = function (base, opts, done) {
+                var res = new EventEmitter();
+                done(null, res);
+                res.emit('searchEntry', {object: {dn: dn}});
+                res.emit('end');
+            };
+            REPL._expireDeferred();
+            swept(function () {
+                t.deepEqual(replayed, ['fingerprint=cd, ' + dn],
+                    'released once the parent exists');
+                t.equal(REPL.deferred.list().length, 0);
+                cb();
+            });
+        }
+    ]}, function () {
+        REPL.client = client;
+        REPL._state = 'init';
+        delete REPL._replay;
+        t.end();
+    });
+});
+
+test('conflicts', function (t) {
+    var dn = 'uuid=1, ou=users, o=smartdc';
+    var client = REPL.client;
+    var deleted = [];
+    REMOTE.conflictPolicy = 'local-wins';
+    REMOTE.connection._uuid = 'remote-uuid';
+    REPL.client = {
+        search: function (base, opts, ctrls, cb) {
+            var res = new EventEmitter();
+            if (typeof (ctrls) === 'function') {
+                // The local entry
+                ctrls(null, res);
+                res.emit('searchEntry', {
+                    object: {dn: dn, objectclass: ['sdcperson']}
+                });
+                return;
+            }
+            // The local changelog, newest first
+            t.equal(opts.sizeLimit, 1, 'newest local change only');
+            cb(null, res);
+            [ {
+                changenumber: '9',
+                changetype: 'modify',
+                targetdn: 'uuid=10, ou=users, o=smartdc'
+            }, {
+                changenumber: '8',
+                changetype: 'modify',
+                targetdn: 'uuid=1,ou=users,o=smartdc'
+            } ].filter(function (obj) {
+                return (opts.filter.matches(obj));
+            }).slice(0, opts.sizeLimit).forEach(function (obj) {
+                res.emit('searchEntry', {object: obj});
+            });
+            res.emit('end');
+        },
+        del: function (target, ctrls, cb) {
+            deleted.push(target);
+            cb(null);
+        }
+    };
+
+    function change(changenumber, changetype) {
+        return {
+            remote: REMOTE,
+            change: REMOTE.connection._parseChange({
+                changenumber: changenumber,
+                changetype: changetype,
+                changetime: new Date().toISOString(),
+                targetdn: dn,
+                changes: '[]'
+            }),
+            controls: []
+        };
+    }
+
+    REPL._processDel(change('30', 'delete'), function (err, outcome) {
+        t.ifError(err);
+        t.equal(outcome, 'conflict', 'delete checked for conflicts');
+        t.deepEqual(deleted, []);
+        var records = REPL.conflicts.list();
+        t.equal(records.length, 1);
+        t.equal(records[0].local.changenumber, 8,
+            'local write found by parsed DN');
+
+        REPL._resolveConflict(change('31', 'modify'), dn,
+            function (err2, apply) {
+            t.ifError(err2);
+            t.equal(apply, false);
+            records = REPL.conflicts.list();
+            t.equal(records.length, 1, 'one record per local write');
+            t.equal(records[0].later.length, 1);
+            t.equal(records[0].later[0].changenumber, '31');
+            full(records[0]);
+        });
+    });
+
+    function full(record) {
+        var later = [];
+        for (var i = 0; i < 100; i++) {
+            later.push(record.later[0]);
+        }
+        REPL.conflicts.update(record.id, {later: later}, function (err) {
+            t.ifError(err);
+            REPL._resolveConflict(change('32', 'modify'), dn,
+                function (err2, apply) {
+                t.ifError(err2);
+                t.equal(apply, false);
+                var records = REPL.conflicts.list();
+                t.equal(records.length, 2, 'new record once full');
+                t.equal(records[0].later.length, 100);
+                t.equal(records[1].change.changenumber, '32');
+
+                REPL.client = client;
+                REMOTE.conflictPolicy = null;
+                delete REMOTE.connection._uuid;
+                vasync.forEachPipeline({
+                    inputs: records,
+                    func: function (record2, next) {
+                        REPL.conflicts.remove(record2.id, next);
+                    }
+                }, function () {
+                    t.end();
+                });
+            });
+        });
+    }
+});
+
+test('loops counted once', function (t) {
+    var looped = {changenumber: '50', changetype: 'modify'};
+    REMOTE.connection.emit('looped', looped);
+    REMOTE.connection.emit('looped', looped);
+    var counted = REPL.metrics.format().split('\n').filter(function (line) {
+        return (/^ufds_replicator_changes_total.*outcome="loop"/.test(line));
+    });
+    t.equal(counted.length, 1);
+    t.ok(/ 1$/.test(counted[0]), 'counted once');
+    t.end();
+});
+
+test('queue pressure', function (t) {
+    var polled = [];
+    REPL._poll = function (url) {
+        polled.push(url);
+    };
+    REPL._state = 'process';
+    REMOTE.paused = true;
+    REPL._checkPressure(REMOTE);
+    t.equal(REMOTE.paused, false);
+    t.deepEqual(polled, [URL], 'polling resumed while processing');
+    delete REPL._poll;
+    REPL._state = 'init';
+
+    t.throws(function () {
+        REPL.addRemote({
+            url: 'ldap://127.0.0.1:2',
+            queries: ['/ou=users, o=smartdc??sub?'],
+            queueSize: 10,
+            queueLowWater: 10
+        });
+    }, /queueLowWater/);
+    t.equal(REPL.remotes.length, 1);
+    t.end();
+});
+
+test('retries leave other remotes running', function (t) {
+    var url = 'ldap://127.0.0.1:3';
+    var applied = [];
+    var failures = 0;
+    REPL.addRemote({
+        url: url,
+        queries: ['/ou=users, o=smartdc??sub?(objectclass=sdcperson)']
+    });
+    var other = REPL._remotes[url];
+    REPL.retryDelay = 20;
+    REPL._apply = function (entry, done) {
+        var name = entry.change.changenumber;
+        if (name === '50' && failures < 2) {
+            failures++;
+            done(new Error('boom'));
+            return;
+        }
+        applied.push(name);
+        if (applied.length === 5) {
+            process.nextTick(finish);
+        }
+        done(null, 'modify');
+    };
+    REPL._checkpointWrite = function (remote, cn, done) {
+        done(null);
+    };
+    REPL._poll = function () {};
+    REPL._state = 'process';
+    REMOTE.checkpoint = 'uuid=1, o=smartdc';
+    other.checkpoint = 'uuid=2, o=smartdc';
+
+    function finish() {
+        t.deepEqual(applied, ['60', '61', '62', '50', '51'],
+            'other remote applied while waiting to retry');
+        t.equal(failures, 2);
+        delete REPL._apply;
+        delete REPL._checkpointWrite;
+        delete REPL._poll;
+        REPL._state = 'init';
+        REPL.removeRemote(url, {checkpoint: 'keep'}, function () {
+            t.end();
+        });
+    }
+
+    function queue(remote, changenumber) {
+        remote.queue.push({
+            remote: remote,
+            change: {
+                changenumber: changenumber,
+                changetype: 'modify',
+                targetdn: 'uuid=1, ou=users, o=smartdc'
+            }
+        });
+    }
+    queue(REMOTE, '50');
+    queue(REMOTE, '51');
+    queue(other, '60');
+    queue(other, '61');
+    queue(other, '62');
+    REPL._lastServed = url;
+    REPL._process();
+});
+
+test('retries without deadLetterPath keep the checkpoint', function (t) {
+    // Quiet the fatal message logged as replication stops
+    REPL.log.fatal = function () {};
+    failChange('41', function (written) {
+        delete REPL.log.fatal;
+        t.deepEqual(written, [], 'checkpoint not moved');
+        t.equal(REPL.deadLetters.list().length, 0);
+        t.end();
+    });
+});
+
+test('retries, dead letter and checkpoint', function (t) {
+    REPL.deadLetters = new RecordStore({
+        log: LOG,
+        path: DEADLETTERS
+    });
+    failChange('42', function (written) {
+        var records = REPL.deadLetters.list();
+        t.equal(records.length, 1);
+        t.equal(records[0].changenumber, 42);
+        t.equal(records[0].attempts.length, 3, 'retried before giving up');
+        t.deepEqual(written, [42], 'checkpoint moved past the change');
+        t.equal(REMOTE.queue.length, 0);
+        fs.unlinkSync(DEADLETTERS);
+        t.end();
+    });
+});
+
+test('teardown', function (t) {
+    REPL.once('destroy', t.end.bind(t));
+    REPL.destroy();
+});
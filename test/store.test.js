@@ -0,0 +1,129 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2014, Joyent, Inc.
+ */
+
+var fs = require('fs');
+
+var bunyan = require('bunyan');
+var test = require('tape').test;
+var RecordStore;
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+    name: 'ufds-replicator-tests',
+    level: process.env.LOG_LEVEL || 'warn'
+});
+var PATH = '/tmp/ufds-replicator-store-test.' + process.pid + '.json';
+var STORE;
+
+
+///--- Tests
+
+test('load', function (t) {
+    RecordStore = require('../lib/store');
+    STORE = new RecordStore({
+        log: LOG,
+        path: PATH
+    });
+    t.deepEqual(STORE.list(), []);
+    t.end();
+});
+
+test('add', function (t) {
+    STORE.add({name: 'first'}, function (err, record) {
+        t.ifError(err);
+        t.equal(record.id, 1);
+        t.ok(record.time);
+        STORE.add({name: 'second'}, function (err2, record2) {
+            t.ifError(err2);
+            t.equal(record2.id, 2);
+            t.equal(STORE.get('2').name, 'second');
+            t.end();
+        });
+    });
+});
+
+test('reload', function (t) {
+    var store = new RecordStore({
+        log: LOG,
+        path: PATH
+    });
+    t.equal(store.list().length, 2);
+    t.equal(store.get(1).name, 'first');
+    t.end();
+});
+
+test('remove', function (t) {
+    STORE.remove(1, function (err, record) {
+        t.ifError(err);
+        t.equal(record.name, 'first');
+        t.equal(STORE.get(1), null);
+        STORE.remove(1, function (err2, missing) {
+            t.ifError(err2);
+            t.equal(missing, null);
+            t.end();
+        });
+    });
+});
+
+test('update', function (t) {
+    STORE.update(2, {name: 'changed'}, function (err, record) {
+        t.ifError(err);
+        t.equal(record.id, 2);
+        t.equal(record.name, 'changed');
+        var store = new RecordStore({
+            log: LOG,
+            path: PATH
+        });
+        t.equal(store.get(2).name, 'changed');
+        STORE.update(1, {name: 'gone'}, function (err2, missing) {
+            t.ifError(err2);
+            t.equal(missing, null);
+            t.end();
+        });
+    });
+});
+
+test('ids continue after reload', function (t) {
+    var store = new RecordStore({
+        log: LOG,
+        path: PATH
+    });
+    store.add({name: 'third'}, function (err, record) {
+        t.ifError(err);
+        t.equal(record.id, 3);
+        t.end();
+    });
+});
+
+test('ids are not reused after a remove', function (t) {
+    var store = new RecordStore({
+        log: LOG,
+        path: PATH
+    });
+    store.remove(3, function (err) {
+        t.ifError(err);
+        var reloaded = new RecordStore({
+            log: LOG,
+            path: PATH
+        });
+        reloaded.add({name: 'fourth'}, function (err2, record) {
+            t.ifError(err2);
+            t.equal(record.id, 4);
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (t) {
+    fs.unlinkSync(PATH);
+    t.end();
+});